@@ -0,0 +1,95 @@
+// Outbound message channels: SMTP email, SMS and WhatsApp (Twilio), and a development outbox
+// Each adapter sends { to, subject, body, statusCallback } and resolves to { providerId }; the provider accepting a message
+// is not delivery: Twilio reports that later to statusCallback (api/notify-status.js), SMTP never does
+import nodemailer from 'nodemailer';
+import { appendFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+export const CHANNELS = ['email', 'sms', 'whatsapp'];
+const LABELS = { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' };
+
+// Error for a channel without credentials; the handler answers 503 instead of 502
+function notConfigured(channel) {
+  const error = new Error(`${LABELS[channel]} messages are not configured on the server`);
+  error.code = 'not_configured';
+  return error;
+}
+
+// E.164 number for Twilio: keeps +..., turns 00... into +..., prefixes local numbers with the default country code
+export function toE164(number, countryCode = '') {
+  const raw = String(number || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  const code = String(countryCode || '').replace(/\D/g, '');
+  return code && !digits.startsWith(code) ? `+${code}${digits}` : `+${digits}`;
+}
+
+function smtpAdapter(env) {
+  if (!env.SMTP_HOST || !env.SMTP_FROM) return null;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send({ to, subject, body }) {
+      const info = await transport.sendMail({ from: env.SMTP_FROM, to, subject, text: body });
+      return { providerId: info.messageId || null };
+    }
+  };
+}
+
+function twilioAdapter(env, channel) {
+  const from = channel === 'whatsapp' ? env.TWILIO_WHATSAPP_FROM : env.TWILIO_SMS_FROM;
+  if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN || !from) return null;
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+  return {
+    name: `twilio-${channel}`,
+    async send({ to, body, statusCallback }) {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          To: prefix + toE164(to, env.NOTIFY_DEFAULT_COUNTRY_CODE),
+          From: prefix + toE164(from),
+          Body: body,
+          ...(statusCallback ? { StatusCallback: statusCallback } : {})
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || `Twilio responded ${response.status}`);
+      return { providerId: data.sid || null };
+    }
+  };
+}
+
+// Development outbox: messages are printed and appended as JSON lines to a local file instead of being sent
+function devAdapter(env, channel) {
+  const file = env.NOTIFY_OUTBOX_FILE || path.join(os.tmpdir(), 'jersey-oms-outbox.log');
+  return {
+    name: 'dev',
+    async send({ to, subject, body }) {
+      const providerId = `dev_${Date.now().toString(36)}`;
+      const entry = { providerId, channel, to, subject: subject || '', body, at: new Date().toISOString() };
+      console.log(`[outbox] ${channel} to ${to}${subject ? ` · ${subject}` : ''}\n${body}`);
+      await appendFile(file, JSON.stringify(entry) + '\n');
+      return { providerId };
+    }
+  };
+}
+
+// Adapter for a channel; NOTIFY_TRANSPORT=dev routes every channel to the development outbox
+export function getAdapter(channel, env = process.env) {
+  if (!CHANNELS.includes(channel)) throw new Error(`Unknown channel: ${channel}`);
+  if (env.NOTIFY_TRANSPORT === 'dev') return devAdapter(env, channel);
+  const adapter = channel === 'email' ? smtpAdapter(env) : twilioAdapter(env, channel);
+  if (!adapter) throw notConfigured(channel);
+  return adapter;
+}
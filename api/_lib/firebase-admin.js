@@ -0,0 +1,14 @@
+// Firestore with admin access for server-side jobs (push fan-out, overdue checks)
+// Credentials come from FIREBASE_SERVICE_ACCOUNT (service account JSON); with FIRESTORE_EMULATOR_HOST set only the project ID is needed
+import admin from 'firebase-admin';
+
+export function getAdminDb(env = process.env) {
+  if (!admin.apps.length) {
+    const serviceAccount = env.FIREBASE_SERVICE_ACCOUNT ? JSON.parse(env.FIREBASE_SERVICE_ACCOUNT) : null;
+    admin.initializeApp({
+      projectId: env.FIREBASE_PROJECT_ID || (serviceAccount && serviceAccount.project_id),
+      ...(serviceAccount ? { credential: admin.credential.cert(serviceAccount) } : {})
+    });
+  }
+  return admin.firestore();
+}
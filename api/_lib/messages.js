@@ -0,0 +1,110 @@
+// Client message templates, rendered on the server from the stored order and invoice
+// The browser only picks an order, template and channel, so api/notify.js cannot be used to message arbitrary recipients.
+// js/messaging.js keeps a copy of the templates for the Notify dialog's preview.
+
+// {{variables}} come from orderVariables(); the subject is only used for email
+export const TEMPLATES = {
+  order_received: {
+    label: 'Order received',
+    subject: 'Order {{orderId}} received',
+    body: 'Hi {{customerName}}, we have received your order {{orderId}} for {{quantity}} jerseys. We will keep you updated.\n\n{{companyName}}'
+  },
+  roster_request: {
+    label: 'Player details request',
+    subject: 'Player details needed for order {{orderId}}',
+    body: 'Hi {{customerName}}, please add player names, numbers and sizes for order {{orderId}} here: {{clientLink}}\n\n{{companyName}}'
+  },
+  status_update: {
+    label: 'Status update',
+    subject: 'Order {{orderId}} is now {{status}}',
+    body: 'Hi {{customerName}}, your order {{orderId}} is now {{status}}.\n\n{{companyName}}'
+  },
+  payment_reminder: {
+    label: 'Payment reminder',
+    subject: 'Payment reminder for order {{orderId}}',
+    body: 'Hi {{customerName}}, {{balance}} is outstanding on invoice {{invoiceId}} for order {{orderId}}.\n\n{{companyName}}'
+  }
+};
+
+// Status labels (mirrors OrderWorkflow.labels and legacyMap)
+const STATUS_LABELS = {
+  draft: 'Draft',
+  awaiting_roster: 'Awaiting roster',
+  roster_received: 'Roster received',
+  in_design: 'In design',
+  in_print: 'In print',
+  ready: 'Ready',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  completed: 'Roster received',
+  pending: 'Awaiting roster'
+};
+
+function money(amount, currency) {
+  const value = Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return [currency, value].filter(Boolean).join(' ');
+}
+
+// Outstanding balance: payments recorded on the ledger, or paid in full for invoices marked Paid before it existed
+function balanceOf(invoice) {
+  const paid = Array.isArray(invoice.payments)
+    ? invoice.payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+    : (invoice.status === 'Paid' ? Number(invoice.total) || 0 : 0);
+  return Math.round(((Number(invoice.total) || 0) - paid) * 100) / 100;
+}
+
+// Client portal URL while the order's link is active (mirrors ClientLinks.getState and buildUrl)
+function clientLinkUrl(order, origin) {
+  const link = order.clientLink;
+  if (!link || !link.token || link.revoked || Number(link.expiresAt) <= Date.now() || !origin) return '';
+  return `${origin}/client.html?order=${encodeURIComponent(order.id)}&token=${encodeURIComponent(link.token)}`;
+}
+
+// Template variables for an order and its newest invoice (mirrors Messaging.orderVariables)
+export function orderVariables(order, invoice, { origin = '', companyName = '' } = {}) {
+  const status = String(order.status || '').toLowerCase();
+  return {
+    orderId: order.id || '',
+    customerName: order.customerName || '',
+    quantity: order.quantity || '',
+    material: order.material || '',
+    status: STATUS_LABELS[status] || order.status || '',
+    clientLink: clientLinkUrl(order, origin),
+    invoiceId: invoice ? invoice.invoiceId || invoice.id : '',
+    total: invoice ? money(invoice.total, invoice.currency) : '',
+    balance: invoice ? money(balanceOf(invoice), invoice.currency) : '',
+    companyName
+  };
+}
+
+// Fill {{variables}}; unknown variables render empty
+export function render(text, variables) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// Variables a template uses that have no value for this order (e.g. no active client link)
+export function missingVariables(template, variables) {
+  const used = `${template.subject || ''} ${template.body || ''}`.match(/\{\{\s*\w+\s*\}\}/g) || [];
+  return Array.from(new Set(used.map(v => v.replace(/[{}\s]/g, '')))).filter(key => !variables[key] && variables[key] !== 0);
+}
+
+// Order contact for a channel: the email for email, the mobile for SMS and WhatsApp
+export function recipientFor(order, channel) {
+  return String((channel === 'email' ? order.email : order.mobile) || '').trim();
+}
+
+// Message for an order: { to, subject, body, missing }
+export function composeMessage(order, invoice, templateId, channel, options = {}) {
+  const template = TEMPLATES[templateId];
+  if (!template) throw new Error('Unknown message template');
+  const variables = orderVariables(order, invoice, options);
+  return {
+    to: recipientFor(order, channel),
+    subject: channel === 'email' ? render(template.subject, variables) : '',
+    body: render(template.body, variables),
+    missing: missingVariables(template, variables)
+  };
+}
@@ -0,0 +1,56 @@
+// Web Push fan-out to staff devices stored in pushSubscriptions/{id}
+// Payloads are JSON { event, orderId, title, body, url, tag }; sw.js shows them and opens url on click
+import webpush from 'web-push';
+
+// Events staff can opt into (mirrors PushNotifications.EVENTS)
+export const PUSH_EVENTS = ['client_submission', 'invoice_paid', 'invoice_overdue'];
+
+// Push message for an order event; clicking it opens the order on the Orders page
+export function buildPayload(event, orderId, title, body) {
+  return {
+    event,
+    orderId,
+    title,
+    body,
+    url: `/orders.html?order=${encodeURIComponent(orderId)}`,
+    tag: `${event}:${orderId}`
+  };
+}
+
+function configure(env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+    const error = new Error('Push notifications are not configured on the server');
+    error.code = 'not_configured';
+    throw error;
+  }
+  webpush.setVapidDetails(env.VAPID_SUBJECT || 'mailto:admin@localhost', env.VAPID_PUBLIC_KEY, env.VAPID_PRIVATE_KEY);
+}
+
+// Send a payload to every active staff device subscribed to its event
+// Subscriptions the push service reports as gone (404/410) are deleted
+export async function sendToStaff(db, payload, env = process.env) {
+  configure(env);
+  const snapshot = await db.collection('pushSubscriptions').where('events', 'array-contains', payload.event).get();
+  const uids = Array.from(new Set(snapshot.docs.map(doc => doc.data().uid)));
+  const users = uids.length ? await db.getAll(...uids.map(uid => db.collection('users').doc(uid))) : [];
+  const disabled = new Set(users.filter(doc => doc.exists && doc.data().disabled === true).map(doc => doc.id));
+
+  const result = { sent: 0, removed: 0, failed: 0 };
+  for (const doc of snapshot.docs) {
+    const { uid, endpoint, keys } = doc.data();
+    if (disabled.has(uid)) continue;
+    try {
+      await webpush.sendNotification({ endpoint, keys }, JSON.stringify(payload), { TTL: 24 * 60 * 60 });
+      result.sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await doc.ref.delete();
+        result.removed++;
+      } else {
+        console.error(`Push to ${endpoint} failed:`, error.statusCode || error.message);
+        result.failed++;
+      }
+    }
+  }
+  return result;
+}
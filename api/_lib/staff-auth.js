@@ -0,0 +1,51 @@
+// Staff check for API routes: verifies the caller's Firebase ID token and reads their role from users/{uid}
+// Uses the Firebase REST APIs with the caller's own token, so no service account is needed
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// REST base URLs, pointed at the emulators when FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST are set
+function endpoints(env) {
+  return {
+    auth: env.FIREBASE_AUTH_EMULATOR_HOST
+      ? `http://${env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1`
+      : 'https://identitytoolkit.googleapis.com/v1',
+    firestore: env.FIRESTORE_EMULATOR_HOST
+      ? `http://${env.FIRESTORE_EMULATOR_HOST}/v1`
+      : 'https://firestore.googleapis.com/v1'
+  };
+}
+
+// Signed-in staff member behind a request: { uid, email, role }
+// Accounts without a users/{uid} doc or role get role 'none' and disabled accounts are refused (mirrors Roles and firestore.rules)
+export async function verifyStaff(req, env = process.env) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) throw httpError(401, 'Sign in to continue');
+  if (!env.FIREBASE_API_KEY || !env.FIREBASE_PROJECT_ID) throw httpError(503, 'Server is missing FIREBASE_API_KEY or FIREBASE_PROJECT_ID');
+  const idToken = match[1];
+  const urls = endpoints(env);
+
+  const lookup = await fetch(`${urls.auth}/accounts:lookup?key=${encodeURIComponent(env.FIREBASE_API_KEY)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ idToken })
+  });
+  const account = lookup.ok ? ((await lookup.json()).users || [])[0] : null;
+  if (!account) throw httpError(401, 'Session expired, sign in again');
+
+  const userDoc = await fetch(`${urls.firestore}/projects/${env.FIREBASE_PROJECT_ID}/databases/(default)/documents/users/${account.localId}`, {
+    headers: { Authorization: `Bearer ${idToken}` }
+  });
+  if (!userDoc.ok && userDoc.status !== 404) throw httpError(403, 'Could not check your role');
+  const fields = userDoc.ok ? ((await userDoc.json()).fields || {}) : {};
+  if (fields.disabled && fields.disabled.booleanValue) throw httpError(403, 'This account has been disabled');
+
+  return {
+    uid: account.localId,
+    email: account.email || '',
+    role: (fields.role && fields.role.stringValue) || 'none'
+  };
+}
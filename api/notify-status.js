@@ -0,0 +1,50 @@
+// Twilio delivery reports for Vercel: StatusCallback of SMS and WhatsApp messages sent by api/notify.js
+// Twilio POSTs { MessageSid, MessageStatus, ErrorCode } signed with the auth token; the messages/{id} entry with that
+// providerId moves to delivered or failed. Intermediate reports (queued, sending, sent) leave it accepted.
+import crypto from 'crypto';
+import { getAdminDb } from './_lib/firebase-admin.js';
+
+const DELIVERED = ['delivered', 'read'];
+const FAILED = ['failed', 'undelivered', 'canceled'];
+
+// X-Twilio-Signature: base64 HMAC-SHA1 of the callback URL followed by every POST parameter, sorted by name
+export function validSignature(signature, url, params, authToken) {
+  if (!signature || !authToken) return false;
+  const data = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+  const expected = crypto.createHmac('sha1', authToken).update(data).digest('base64');
+  return expected.length === String(signature).length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(signature)));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const params = req.body || {};
+  // The URL api/notify.js gave Twilio, built from the same APP_URL
+  const origin = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  if (!origin) return res.status(503).json({ error: 'Server is missing APP_URL' });
+  const url = `${origin}/api/notify-status`;
+  if (!validSignature(req.headers['x-twilio-signature'], url, params, process.env.TWILIO_AUTH_TOKEN)) {
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  const { MessageSid: providerId, MessageStatus: providerStatus, ErrorCode: errorCode } = params;
+  const status = DELIVERED.includes(providerStatus) ? 'delivered' : (FAILED.includes(providerStatus) ? 'failed' : null);
+  if (!providerId || !status) return res.status(200).json({ updated: 0 });
+
+  try {
+    const db = getAdminDb();
+    const snapshot = await db.collection('messages').where('providerId', '==', providerId).get();
+    const at = new Date().toISOString();
+    const patch = status === 'delivered'
+      ? { status, deliveredAt: at, updatedAt: at }
+      : { status, error: `Not delivered (${providerStatus}${errorCode ? `, Twilio error ${errorCode}` : ''})`, updatedAt: at };
+    await Promise.all(snapshot.docs.map(doc => doc.ref.set(patch, { merge: true })));
+    return res.status(200).json({ updated: snapshot.size });
+  } catch (error) {
+    console.error(`Delivery report for ${providerId} failed:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
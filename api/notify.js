@@ -0,0 +1,127 @@
+// Outbound client notification endpoint for Vercel
+// POST { orderId, templateId, channel } with a staff Firebase ID token. The recipient and text come from the stored order,
+// its newest invoice and the server's templates, so callers cannot send arbitrary content.
+// Each send is logged here in messages/{id} (browsers cannot write it) with the provider's message ID; 'accepted' means the
+// provider took the message, and Twilio's delivery report later moves it to delivered or failed (api/notify-status.js)
+import { CHANNELS, getAdapter } from './_lib/channels.js';
+import { getAdminDb } from './_lib/firebase-admin.js';
+import { TEMPLATES, composeMessage } from './_lib/messages.js';
+import { verifyStaff } from './_lib/staff-auth.js';
+
+// Roles allowed to message clients (mirrors Roles.permissions['orders.edit'])
+const SEND_ROLES = ['owner', 'manager', 'staff'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Order as pages see it: the summary merged over its details (mirrors OrderRepository.toOrder)
+async function loadOrder(db, orderId) {
+  const [summary, details] = await Promise.all([
+    db.collection('orders').doc(orderId).get(),
+    db.collection('orderDetails').doc(orderId).get()
+  ]);
+  if (!summary.exists) return null;
+  return { ...(details.exists ? details.data() : {}), ...summary.data(), id: orderId };
+}
+
+// Newest invoice for the order, if any
+async function loadInvoice(db, orderId) {
+  const snapshot = await db.collection('invoices').where('orderId', '==', orderId).get();
+  const invoices = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+  return invoices.sort((a, b) => String(b.issuedAt || '').localeCompare(String(a.issuedAt || '')))[0] || null;
+}
+
+// Unique message ID, sortable by creation time
+function generateId() {
+  return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function invalidRecipient(to, channel) {
+  if (!to) return `No ${channel === 'email' ? 'email address' : 'mobile number'} on this order`;
+  if (channel === 'email' && !EMAIL.test(to)) return 'The order has an invalid email address';
+  if (channel !== 'email' && to.replace(/\D/g, '').length < 7) return 'The order has an invalid mobile number';
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ status: 'failed', error: 'Method not allowed' });
+  }
+
+  let staff;
+  try {
+    staff = await verifyStaff(req);
+  } catch (error) {
+    return res.status(error.status || 401).json({ status: 'failed', error: error.message });
+  }
+  if (!SEND_ROLES.includes(staff.role)) {
+    return res.status(403).json({ status: 'failed', error: 'Your role cannot message clients' });
+  }
+
+  const { orderId, templateId, channel } = req.body || {};
+  if (!orderId || typeof orderId !== 'string') return res.status(400).json({ status: 'failed', error: 'orderId is required' });
+  if (!CHANNELS.includes(channel)) return res.status(400).json({ status: 'failed', error: 'Choose email, SMS or WhatsApp' });
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, templateId)) return res.status(400).json({ status: 'failed', error: 'Unknown message template' });
+
+  // Client links and the delivery report URL use the configured address only; the request's Origin is caller-controlled
+  const origin = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  if (!origin) return res.status(503).json({ status: 'failed', error: 'Server is missing APP_URL' });
+  let db;
+  let order;
+  let message;
+  try {
+    db = getAdminDb();
+    order = await loadOrder(db, orderId);
+    if (!order) return res.status(404).json({ status: 'failed', error: 'Order not found' });
+    message = composeMessage(order, await loadInvoice(db, orderId), templateId, channel, {
+      origin,
+      companyName: process.env.APP_NAME || 'Jersey OMS'
+    });
+  } catch (error) {
+    console.error(`Notify ${orderId} failed to load:`, error);
+    return res.status(500).json({ status: 'failed', error: error.message });
+  }
+
+  const { to, subject, body, missing } = message;
+  const rendered = { to, subject, body };
+  const recipientError = invalidRecipient(to, channel);
+  if (recipientError) return res.status(422).json({ status: 'failed', error: recipientError, ...rendered });
+  if (missing.length) return res.status(422).json({ status: 'failed', error: `No value for: ${missing.join(', ')}`, ...rendered });
+
+  const id = generateId();
+  const ref = db.collection('messages').doc(id);
+  const record = {
+    orderId,
+    customerId: order.customerId || null,
+    channel,
+    templateId,
+    ...rendered,
+    status: 'queued',
+    error: null,
+    providerId: null,
+    createdAt: new Date().toISOString(),
+    createdBy: staff.email,
+    createdByUid: staff.uid
+  };
+  try {
+    await ref.set(record);
+  } catch (error) {
+    console.error(`Notify ${orderId} failed to log:`, error);
+    return res.status(500).json({ status: 'failed', error: 'Could not log the message', ...rendered });
+  }
+
+  let patch;
+  let status = 200;
+  try {
+    const adapter = getAdapter(channel);
+    const statusCallback = channel !== 'email' ? `${origin}/api/notify-status` : null;
+    const result = await adapter.send({ to, subject, body, statusCallback });
+    patch = { status: 'accepted', providerId: result.providerId || null, transport: adapter.name, acceptedAt: new Date().toISOString() };
+  } catch (error) {
+    console.error(`Notify ${channel} failed:`, error);
+    patch = { status: 'failed', error: error.message };
+    status = error.code === 'not_configured' ? 503 : 502;
+  }
+  patch.updatedAt = new Date().toISOString();
+  await ref.set(patch, { merge: true }).catch(error => console.error(`Notify ${id} failed to update its log:`, error));
+  return res.status(status).json({ id, ...record, ...patch });
+}
@@ -0,0 +1,39 @@
+// Daily overdue-invoice push for Vercel Cron (see vercel.json)
+// Unpaid invoices older than PUSH_OVERDUE_DAYS (default 30) are pushed once; overdueNotifiedAt marks them as done
+import { getAdminDb } from './_lib/firebase-admin.js';
+import { buildPayload, sendToStaff } from './_lib/push.js';
+
+const PAID = ['Paid', 'Overpaid'];
+
+export default async function handler(req, res) {
+  // Vercel Cron sends CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const days = Number(process.env.PUSH_OVERDUE_DAYS || 30);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  try {
+    const db = getAdminDb();
+    const snapshot = await db.collection('invoices').where('issuedAt', '<', cutoff).get();
+    const overdue = snapshot.docs.filter(doc => !PAID.includes(doc.data().status) && !doc.data().overdueNotifiedAt);
+    const totals = { invoices: overdue.length, sent: 0, removed: 0, failed: 0 };
+
+    for (const doc of overdue) {
+      const invoice = doc.data();
+      const outstanding = Math.round(((Number(invoice.total) || 0) - (Number(invoice.amountPaid) || 0)) * 100) / 100;
+      const amount = [invoice.currency, outstanding.toFixed(2)].filter(Boolean).join(' ');
+      const payload = buildPayload('invoice_overdue', invoice.orderId, 'Invoice overdue',
+        `${invoice.invoiceId} for ${invoice.customerName || 'Client'} has ${amount} outstanding after ${days} days.`);
+      const result = await sendToStaff(db, payload);
+      totals.sent += result.sent;
+      totals.removed += result.removed;
+      totals.failed += result.failed;
+      await doc.ref.set({ overdueNotifiedAt: new Date().toISOString() }, { merge: true });
+    }
+    return res.status(200).json(totals);
+  } catch (error) {
+    console.error('Overdue push failed:', error);
+    return res.status(error.code === 'not_configured' ? 503 : 500).json({ error: error.message });
+  }
+}
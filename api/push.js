@@ -0,0 +1,88 @@
+// Web Push endpoint for Vercel
+// GET returns the VAPID public key; POST { event, orderId, clientToken } pushes an order event to subscribed staff.
+// Message text is built here from the stored order and invoice, so callers cannot push arbitrary content,
+// and a client submission is pushed only once (pushEvents/{key}), however often the client link calls this.
+import { getAdminDb } from './_lib/firebase-admin.js';
+import { buildPayload, sendToStaff } from './_lib/push.js';
+import { verifyStaff } from './_lib/staff-auth.js';
+
+// Roles that record payments (mirrors Roles.permissions['payments.record'])
+const PAYMENT_ROLES = ['owner', 'manager'];
+const PAID = ['Paid', 'Overpaid'];
+
+// Client portal token: clientLinks/{token} must belong to the order, be unrevoked and unexpired (mirrors firestore.rules)
+async function validClientToken(db, token, orderId) {
+  if (!token) return false;
+  const link = await db.collection('clientLinks').doc(String(token)).get();
+  const data = link.exists ? link.data() : null;
+  return !!data && data.orderId === orderId && data.revoked !== true && Number(data.expiresAt) > Date.now();
+}
+
+// Claim a one-time push in pushEvents/{key}; false if it was already sent (create() fails on an existing doc)
+async function claimPush(db, key) {
+  try {
+    await db.collection('pushEvents').doc(key).create({ sentAt: new Date().toISOString() });
+    return true;
+  } catch (error) {
+    if (error.code === 6) return false; // ALREADY_EXISTS
+    throw error;
+  }
+}
+
+// Pushed once per roster submission: the key is the order and its submittedAt
+async function clientSubmission(db, orderId, clientToken) {
+  if (!(await validClientToken(db, clientToken, orderId))) return { status: 403, error: 'Invalid or expired client link' };
+  const order = await db.collection('orders').doc(orderId).get();
+  if (!order.exists) return { status: 404, error: 'Order not found' };
+  const { customerName, submittedAt } = order.data();
+  if (!submittedAt) return { status: 409, error: 'No roster has been submitted' };
+  const key = `client_submission:${encodeURIComponent(orderId)}:${submittedAt}`;
+  if (!(await claimPush(db, key))) return { skipped: true };
+  const customer = customerName || 'Client';
+  return { key, payload: buildPayload('client_submission', orderId, 'Client submission received', `${customer} submitted jersey details for ${orderId}.`) };
+}
+
+async function invoicePaid(db, req, orderId) {
+  const staff = await verifyStaff(req);
+  if (!PAYMENT_ROLES.includes(staff.role)) return { status: 403, error: 'Your role cannot record payments' };
+  const snapshot = await db.collection('invoices').where('orderId', '==', orderId).get();
+  const invoice = snapshot.docs.map(doc => doc.data()).find(inv => PAID.includes(inv.status));
+  if (!invoice) return { status: 409, error: 'Invoice is not paid' };
+  const customer = invoice.customerName || 'Client';
+  return { payload: buildPayload('invoice_paid', orderId, 'Invoice paid', `${invoice.invoiceId} for ${customer} is paid in full.`) };
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ publicKey: process.env.VAPID_PUBLIC_KEY || null });
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { event, orderId, clientToken } = req.body || {};
+  if (!orderId || typeof orderId !== 'string') return res.status(400).json({ error: 'orderId is required' });
+
+  try {
+    const db = getAdminDb();
+    let outcome;
+    if (event === 'client_submission') outcome = await clientSubmission(db, orderId, clientToken);
+    else if (event === 'invoice_paid') outcome = await invoicePaid(db, req, orderId);
+    else return res.status(400).json({ error: 'Unknown or scheduled-only event' });
+
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    if (outcome.skipped) return res.status(200).json({ sent: 0, removed: 0, failed: 0, skipped: true });
+    try {
+      return res.status(200).json(await sendToStaff(db, outcome.payload));
+    } catch (error) {
+      // Release the claim so the push can be retried once the server is configured
+      if (outcome.key) await db.collection('pushEvents').doc(outcome.key).delete().catch(() => {});
+      throw error;
+    }
+  } catch (error) {
+    console.error(`Push ${event} failed:`, error);
+    const status = error.status || (error.code === 'not_configured' ? 503 : 500);
+    return res.status(status).json({ error: error.message });
+  }
+}
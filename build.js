@@ -9,11 +9,15 @@ const staticFiles = [
   'index.html',
   'orders.html', 
   'customers.html',
+  'customer.html',
   
   'reports.html',
   'settings.html',
+  'users.html',
   'client.html',
+  'accept-invite.html',
   'order.html',
+  'print-sheet.html',
   'offline.html',
   'styles.css',
   'script.js',
@@ -9,7 +9,6 @@ class ApiService {
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second
     this.cache = new Map();
-    this.requestQueue = [];
     this.isOnline = navigator.onLine;
     this.init();
   }
@@ -27,6 +26,11 @@ class ApiService {
 
     // Setup request interceptors
     this.setupInterceptors();
+
+    // Send anything left in the outbox (browsers without background sync rely on this)
+    this.migrateLegacyQueue().finally(() => {
+      if (this.isOnline) this.processQueue();
+    });
   }
 
   /**
@@ -62,10 +66,16 @@ class ApiService {
   async request(config) {
     const requestId = this.generateRequestId();
     const startTime = Date.now();
+    const isWrite = (config.method || 'GET') !== 'GET';
+
+    // Writes keep one idempotency key from the first attempt through any replay
+    if (isWrite && window.Outbox) {
+      config = { ...config, headers: { ...config.headers, 'Idempotency-Key': (config.headers && config.headers['Idempotency-Key']) || window.Outbox.generateKey() } };
+    }
 
     try {
       // Add to queue if offline
-      if (!this.isOnline && config.method !== 'GET') {
+      if (!this.isOnline && isWrite) {
         return this.addToQueue(config);
       }
 
@@ -82,6 +92,10 @@ class ApiService {
 
       return response;
     } catch (error) {
+      // The connection dropped (no HTTP response): keep the write for replay
+      if (isWrite && !error.status && window.Outbox) {
+        return this.addToQueue(config);
+      }
       window.ErrorHandler.logError('API Request Failed', {
         method: config.method,
         url: config.url,
@@ -101,21 +115,24 @@ class ApiService {
       try {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const prepared = this.applyRequestInterceptors(config);
 
-        const response = await fetch(this.baseURL + config.url, {
-          method: config.method || 'GET',
+        const response = await fetch(this.baseURL + prepared.url, {
+          method: prepared.method || 'GET',
           headers: {
             'Content-Type': 'application/json',
-            ...config.headers
+            ...prepared.headers
           },
-          body: config.data ? JSON.stringify(config.data) : undefined,
+          body: prepared.data ? JSON.stringify(prepared.data) : undefined,
           signal: controller.signal
         });
 
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          error.status = response.status;
+          throw error;
         }
 
         const data = await response.json();
@@ -133,50 +150,55 @@ class ApiService {
   }
 
   /**
-   * Add request to offline queue
+   * Add request to the offline outbox
    */
-  addToQueue(config) {
-    const queuedRequest = {
-      id: this.generateRequestId(),
-      config,
-      timestamp: Date.now()
-    };
-    
-    this.requestQueue.push(queuedRequest);
-    localStorage.setItem('requestQueue', JSON.stringify(this.requestQueue));
+  async addToQueue(config) {
+    const record = await window.Outbox.enqueue({
+      url: this.baseURL + config.url,
+      method: config.method,
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: config.data ? JSON.stringify(config.data) : null,
+      idempotencyKey: config.headers && config.headers['Idempotency-Key']
+    });
     
-    return Promise.resolve({
-      data: { message: 'Request queued for when online' },
+    return {
+      data: { message: 'Request queued for when online', queueId: record.id },
       status: 202,
       queued: true
-    });
+    };
   }
 
   /**
-   * Process queued requests when online
+   * Replay the outbox with the current auth headers
    */
   async processQueue() {
-    const queuedRequests = JSON.parse(localStorage.getItem('requestQueue') || '[]');
-    
-    for (const queuedRequest of queuedRequests) {
-      try {
-        await this.executeRequest(queuedRequest.config, queuedRequest.id);
-        this.removeFromQueue(queuedRequest.id);
-      } catch (error) {
-        window.ErrorHandler.logError('Failed to process queued request', {
-          requestId: queuedRequest.id,
-          error: error.message
-        });
+    if (!window.Outbox) return null;
+    try {
+      const result = await window.Outbox.replay({ getHeaders: async () => this.applyRequestInterceptors({ headers: {} }).headers });
+      if (result.failed) {
+        window.ErrorHandler.logError('Failed to process queued requests', { failed: result.failed });
       }
+      return result;
+    } catch (error) {
+      window.ErrorHandler.logError('Failed to process queued requests', { error: error.message });
+      return null;
     }
   }
 
   /**
-   * Remove request from queue
+   * Move requests queued in localStorage by earlier versions into the outbox
    */
-  removeFromQueue(requestId) {
-    this.requestQueue = this.requestQueue.filter(req => req.id !== requestId);
-    localStorage.setItem('requestQueue', JSON.stringify(this.requestQueue));
+  async migrateLegacyQueue() {
+    if (!window.Outbox) return;
+    try {
+      const legacy = JSON.parse(localStorage.getItem('requestQueue') || '[]');
+      for (const queued of legacy) {
+        await this.addToQueue({ ...queued.config, headers: { ...queued.config.headers, 'Idempotency-Key': queued.id } });
+      }
+      localStorage.removeItem('requestQueue');
+    } catch (error) {
+      console.warn('[ApiService] Could not move the old request queue:', error);
+    }
   }
 
   /**
@@ -262,6 +284,7 @@ class ApiService {
     
     if (response.data.token) {
       localStorage.setItem('authToken', response.data.token);
+      if (window.Outbox) window.Outbox.setAuthToken(response.data.token).catch(() => {});
     }
     
     return response.data;
@@ -275,6 +298,7 @@ class ApiService {
       });
     } finally {
       localStorage.removeItem('authToken');
+      if (window.Outbox) window.Outbox.setAuthToken(null).catch(() => {});
     }
   }
 
@@ -322,6 +346,7 @@ class ApiService {
 
   handleUnauthorized() {
     localStorage.removeItem('authToken');
+    if (window.Outbox) window.Outbox.setAuthToken(null).catch(() => {});
     window.location.href = '/login.html';
   }
 
@@ -330,6 +355,16 @@ class ApiService {
     this.requestInterceptors.push(interceptor);
   }
 
+  /**
+   * Config with every request interceptor applied (auth headers are read at send time)
+   */
+  applyRequestInterceptors(config) {
+    return (this.requestInterceptors || []).reduce(
+      (current, interceptor) => interceptor({ ...current, headers: { ...current.headers } }),
+      { ...config, headers: { ...config.headers } }
+    );
+  }
+
   addResponseInterceptor(successInterceptor, errorInterceptor) {
     this.responseInterceptors = this.responseInterceptors || [];
     this.responseInterceptors.push({ success: successInterceptor, error: errorInterceptor });
@@ -0,0 +1,149 @@
+/**
+ * Audit Log - Append-only history of changes to orders, invoices and customers
+ * Each auditLog/{id} entry records who changed what, when, from which page, with field-level before/after values
+ */
+
+class AuditLog {
+  constructor() {
+    this.collection = 'auditLog';
+    // Bookkeeping fields that are already covered by another change or carry no meaning for people
+    this.ignoredFields = ['clientToken', 'statusHistory', 'statusTimestamps', 'statusUpdatedAt', 'updatedAt'];
+    this.actions = {
+      create: 'Created',
+      update: 'Edited',
+      delete: 'Deleted',
+      status: 'Status changed',
+      roster: 'Roster submitted',
+      revision: 'Roster change reviewed',
+      client_link: 'Client link changed',
+      invoice: 'Invoice saved',
+      payment: 'Payment recorded',
+      merge: 'Customers merged',
+      merge_undo: 'Customer merge undone'
+    };
+  }
+
+  /**
+   * Flatten nested objects and arrays into dotted paths, e.g. jerseys.2.size
+   */
+  flatten(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const keys = Object.keys(value);
+      if (keys.length === 0 && prefix) out[prefix] = Array.isArray(value) ? [] : {};
+      keys.forEach(key => this.flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+      out[prefix] = value === undefined ? null : value;
+    }
+    return out;
+  }
+
+  /**
+   * Field-level differences between a document and what is being written
+   * @param {Object|null} before - document before the write (null when created)
+   * @param {Object|null} after - data written (null when deleted)
+   * @param {Object} options - { merge: true } compares only the top-level fields present in `after`
+   * @returns {Array<{field: string, from: *, to: *}>}
+   */
+  diff(before, after, options = {}) {
+    const merge = options.merge !== false && !!before && !!after;
+    const topLevel = merge
+      ? Object.keys(after)
+      : Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+    const fields = topLevel.filter(f => !this.ignoredFields.includes(f));
+    const pick = source => Object.fromEntries(fields.filter(f => source && source[f] !== undefined).map(f => [f, source[f]]));
+
+    const from = this.flatten(pick(before));
+    const to = this.flatten(pick(after));
+    return Array.from(new Set([...Object.keys(from), ...Object.keys(to)]))
+      .map(field => ({ field, from: field in from ? from[field] : null, to: field in to ? to[field] : null }))
+      .filter(c => JSON.stringify(c.from) !== JSON.stringify(c.to));
+  }
+
+  /**
+   * Who is making the change: signed-in staff, or the client token passed in
+   */
+  getActor(clientToken) {
+    if (clientToken) return { type: 'client', id: clientToken, name: 'Client' };
+    const user = window.AuthManager && window.AuthManager.getCurrentUser ? window.AuthManager.getCurrentUser() : null;
+    const authUser = window.firebaseServices && window.firebaseServices.auth ? window.firebaseServices.auth.currentUser : null;
+    const id = (authUser && authUser.uid) || (user && user.uid) || null;
+    const name = (user && user.username) || (authUser && authUser.email) || 'unknown';
+    return { type: (id || user) ? 'staff' : 'unknown', id, name };
+  }
+
+  /**
+   * Page the change was made from
+   */
+  getSource() {
+    const path = (window.location && window.location.pathname) || '';
+    return path.split('/').pop() || 'index.html';
+  }
+
+  /**
+   * Append an entry for a write; skipped when nothing changed. Never throws so saves are not blocked
+   * @param {string} entity - 'order', 'invoice' or 'customer'
+   * @param {string} entityId - order, invoice or customer ID
+   * @param {Object|null} before - document before the write
+   * @param {Object|null} after - data written
+   * @param {Object} options - { action, orderId, clientToken, merge, source }
+   */
+  async record(entity, entityId, before, after, options = {}) {
+    try {
+      const action = options.action || (!before ? 'create' : (!after ? 'delete' : 'update'));
+      const changes = this.diff(before, after, { merge: options.merge });
+      if (changes.length === 0 && action !== 'delete') return null;
+
+      const at = new Date().toISOString();
+      const id = `log_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+      const entry = {
+        entity,
+        entityId,
+        orderId: options.orderId || (entity === 'order' ? entityId : (after && after.orderId) || (before && before.orderId) || null),
+        action,
+        actor: this.getActor(options.clientToken),
+        at,
+        source: options.source || this.getSource(),
+        changes
+      };
+      await window.firebaseServices.db.collection(this.collection).doc(id).set(entry);
+      return { id, ...entry };
+    } catch (error) {
+      console.warn('[AuditLog] Failed to record change:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Entries for an order and its invoices, newest first (staff only)
+   */
+  async listForOrder(orderId) {
+    const snapshot = await window.firebaseServices.db.collection(this.collection).where('orderId', '==', orderId).get();
+    const entries = [];
+    snapshot.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+    return entries.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  }
+
+  /**
+   * Label for an entry's action
+   */
+  getActionLabel(action) {
+    return this.actions[action] || action;
+  }
+
+  /**
+   * Short display form of a logged value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+}
+
+// Global audit log instance
+window.AuditLog = new AuditLog();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditLog;
+}
@@ -108,8 +108,79 @@ class AuthManager {
       return;
     }
 
+    // Block pages the user's role cannot open
+    if (!this.checkPageAccess()) return;
+
     // Update user info in UI if elements exist
     this.updateUserInfo();
+    if (window.Roles) window.Roles.applyToPage();
+    this.showAccessDenied();
+
+    // Pick up role changes made since the session started
+    this.refreshRole();
+  }
+
+  /**
+   * Redirect away from a page the current role cannot open
+   */
+  checkPageAccess() {
+    // Accounts without a staff role cannot open any page, so they go back to the login page
+    if (window.Roles && window.Roles.getCurrentRole() === window.Roles.ROLES.NONE) {
+      this.logout();
+      window.location.href = `${this.loginPage}?noaccess=1`;
+      return false;
+    }
+    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+    if (!window.Roles || window.Roles.canAccessPage(currentPage)) return true;
+    window.location.href = `index.html?denied=${encodeURIComponent(currentPage)}`;
+    return false;
+  }
+
+  /**
+   * Explain a blocked page after the redirect to the dashboard
+   */
+  showAccessDenied() {
+    const denied = new URLSearchParams(window.location.search).get('denied');
+    if (!denied || !window.Roles) return;
+    const message = `Your role (${window.Roles.getLabel(window.Roles.getCurrentRole())}) cannot open ${denied}.`;
+    if (window.UserErrorHandler) window.UserErrorHandler.showError(message);
+    else console.warn(message);
+  }
+
+  /**
+   * Re-read the role from the users collection and re-apply the page guard if it changed;
+   * disabled accounts are signed out
+   */
+  async refreshRole() {
+    const user = this.getCurrentUser();
+    if (!window.Roles || !user || !user.uid) return;
+
+    let attempts = 0;
+    while ((!window.firebaseServices || !window.firebaseServices.db) && attempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      attempts++;
+    }
+
+    const account = await window.Roles.loadAccount(user.uid);
+    const current = this.getCurrentUser();
+    if (!account || !current || current.uid !== user.uid) return;
+
+    if (account.disabled) {
+      this.logout();
+      try {
+        if (window.firebaseServices.auth) await window.firebaseServices.auth.signOut();
+      } catch (error) {
+        console.warn('Failed to sign out disabled account:', error);
+      }
+      window.location.href = `${this.loginPage}?disabled=1`;
+      return;
+    }
+
+    const role = account.role;
+    if (current.role === role) return;
+
+    localStorage.setItem(this.sessionKey, JSON.stringify({ ...current, role }));
+    if (this.checkPageAccess()) window.location.reload();
   }
 
   /**
@@ -126,9 +197,10 @@ class AuthManager {
     }
 
     // Update any other user-specific UI elements
-    const userRoleElements = document.querySelectorAll('.user-role');
+    const roleLabel = window.Roles ? window.Roles.getLabel(user.role) : user.role;
+    const userRoleElements = document.querySelectorAll('.user-role, .profile-user-role');
     userRoleElements.forEach(element => {
-      element.textContent = user.role;
+      element.textContent = roleLabel;
     });
   }
 
@@ -1,11 +1,13 @@
 /**
  * Data backup and recovery system
+ * Backups are records in the AppStorage backups store, built from the offline collections and logs
  */
 
 class BackupManager {
   constructor() {
     this.backupInterval = 5 * 60 * 1000; // 5 minutes
     this.maxBackups = 10;
+    this.store = 'backups';
     this.autoBackupTimer = null;
     this.init();
   }
@@ -14,40 +16,45 @@ class BackupManager {
     // Start auto-backup
     this.startAutoBackup();
     
-    // Backup before page unload
+    // Backup before page unload (failures are already logged)
     window.addEventListener('beforeunload', () => {
-      this.createBackup();
+      this.createBackup().catch(() => {});
     });
   }
 
   /**
    * Create backup of all application data
    */
-  createBackup() {
+  async createBackup() {
     try {
+      const storage = window.AppStorage;
+      const [orders, invoices, customers, logs, dataSize] = await Promise.all([
+        storage.all('orders'), storage.all('invoices'), storage.all('customers'), storage.all('logs'), this.calculateDataSize()
+      ]);
+      const backupKey = `backup_${Date.now()}`;
       const backup = {
+        id: backupKey,
         timestamp: new Date().toISOString(),
         version: '1.0.0',
         data: {
-          orders: JSON.parse(localStorage.getItem('orders') || '[]'),
-          invoices: JSON.parse(localStorage.getItem('invoices') || '[]'),
-          customers: this.extractCustomers(),
+          orders,
+          invoices,
+          customers: this.extractCustomers(orders, customers),
           settings: JSON.parse(localStorage.getItem('appSettings') || '{}'),
-          logs: JSON.parse(localStorage.getItem('appLogs') || '[]')
+          logs
         },
         metadata: {
           userAgent: navigator.userAgent,
           url: window.location.href,
-          dataSize: this.calculateDataSize()
+          dataSize
         }
       };
 
       // Store backup
-      const backupKey = `backup_${Date.now()}`;
-      localStorage.setItem(backupKey, JSON.stringify(backup));
+      await storage.put(this.store, backup);
       
       // Clean old backups
-      this.cleanOldBackups();
+      await this.cleanOldBackups();
       
       window.ErrorHandler.logInfo('Backup created', { backupKey, size: backup.metadata.dataSize });
       
@@ -59,14 +66,15 @@ class BackupManager {
   }
 
   /**
-   * Extract customers from orders
+   * Extract customers: stored customer records with their orders by customerId,
+   * plus orders not yet linked to one grouped by normalized name
    */
-  extractCustomers() {
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    const customerMap = new Map();
+  extractCustomers(orders, stored) {
+    const customerMap = new Map(stored.filter(c => c && c.id).map(c => [c.id, { ...c, orders: [] }]));
+    const nameKey = name => (window.Customers ? window.Customers.normalizeName(name) : (name || '').trim().toLowerCase());
     
     orders.forEach(order => {
-      const key = (order.customerName || '').trim().toLowerCase();
+      const key = order.customerId && customerMap.has(order.customerId) ? order.customerId : nameKey(order.customerName);
       if (key && !customerMap.has(key)) {
         customerMap.set(key, {
           name: order.customerName,
@@ -83,82 +91,71 @@ class BackupManager {
   }
 
   /**
-   * Calculate data size
+   * Calculate data size (bytes the site uses in browser storage, 0 if unknown)
    */
-  calculateDataSize() {
-    let totalSize = 0;
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        totalSize += localStorage[key].length;
-      }
+  async calculateDataSize() {
+    try {
+      return (await window.AppStorage.estimate()) || 0;
+    } catch (error) {
+      return 0;
     }
-    return totalSize;
   }
 
   /**
-   * Clean old backups
+   * Clean old backups, keeping only the most recent
    */
   cleanOldBackups() {
-    const backupKeys = Object.keys(localStorage)
-      .filter(key => key.startsWith('backup_'))
-      .sort((a, b) => {
-        const timestampA = parseInt(a.split('_')[1]);
-        const timestampB = parseInt(b.split('_')[1]);
-        return timestampB - timestampA;
-      });
-
-    // Keep only the most recent backups
-    if (backupKeys.length > this.maxBackups) {
-      const keysToDelete = backupKeys.slice(this.maxBackups);
-      keysToDelete.forEach(key => {
-        localStorage.removeItem(key);
-      });
-    }
+    return window.AppStorage.trim(this.store, 'timestamp', this.maxBackups);
   }
 
   /**
    * Get all available backups
    */
-  getBackups() {
+  async getBackups() {
     const backups = [];
     
-    for (let key in localStorage) {
-      if (key.startsWith('backup_')) {
-        try {
-          const backup = JSON.parse(localStorage.getItem(key));
-          backups.push({
-            key,
-            timestamp: backup.timestamp,
-            version: backup.version,
-            dataSize: backup.metadata.dataSize
-          });
-        } catch (error) {
-          window.ErrorHandler.logWarning('Corrupted backup found', { key, error: error.message });
-        }
+    (await window.AppStorage.all(this.store)).forEach(backup => {
+      if (!backup.timestamp || !backup.data) {
+        window.ErrorHandler.logWarning('Corrupted backup found', { key: backup.id });
+        return;
       }
-    }
+      backups.push({
+        key: backup.id,
+        timestamp: backup.timestamp,
+        version: backup.version,
+        dataSize: backup.metadata ? backup.metadata.dataSize : 0
+      });
+    });
     
     return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
+  /**
+   * Replace the offline data with a backup's
+   */
+  async restoreData(data) {
+    const storage = window.AppStorage;
+    await storage.replace('orders', (data.orders || []).filter(d => d && d.id));
+    await storage.replace('invoices', (data.invoices || []).filter(d => d && d.id));
+    await storage.replace('logs', data.logs || []);
+    localStorage.setItem('appSettings', JSON.stringify(data.settings || {}));
+  }
+
   /**
    * Restore from backup
    */
-  restoreFromBackup(backupKey) {
+  async restoreFromBackup(backupKey) {
     try {
-      const backup = JSON.parse(localStorage.getItem(backupKey));
+      const backup = await window.AppStorage.get(this.store, backupKey);
       if (!backup) {
         throw new Error('Backup not found');
       }
 
       // Create current backup before restore
-      this.createBackup();
+      await this.createBackup();
 
       // Restore data
-      localStorage.setItem('orders', JSON.stringify(backup.data.orders));
-      localStorage.setItem('invoices', JSON.stringify(backup.data.invoices));
-      localStorage.setItem('appSettings', JSON.stringify(backup.data.settings));
-      localStorage.setItem('appLogs', JSON.stringify(backup.data.logs));
+      await this.restoreData(backup.data);
 
       window.ErrorHandler.logInfo('Data restored from backup', { backupKey, timestamp: backup.timestamp });
       
@@ -174,11 +171,14 @@ class BackupManager {
   /**
    * Export backup to file
    */
-  exportBackup(backupKey = null) {
+  async exportBackup(backupKey = null) {
     try {
       const backup = backupKey ? 
-        JSON.parse(localStorage.getItem(backupKey)) : 
-        this.createBackup();
+        await window.AppStorage.get(this.store, backupKey) : 
+        await this.createBackup();
+      if (!backup) {
+        throw new Error('Backup not found');
+      }
 
       const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
@@ -203,7 +203,7 @@ class BackupManager {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       
-      reader.onload = (e) => {
+      reader.onload = async (e) => {
         try {
           const backup = JSON.parse(e.target.result);
           
@@ -213,13 +213,10 @@ class BackupManager {
           }
 
           // Create current backup before import
-          this.createBackup();
+          await this.createBackup();
 
           // Restore data
-          localStorage.setItem('orders', JSON.stringify(backup.data.orders || []));
-          localStorage.setItem('invoices', JSON.stringify(backup.data.invoices || []));
-          localStorage.setItem('appSettings', JSON.stringify(backup.data.settings || {}));
-          localStorage.setItem('appLogs', JSON.stringify(backup.data.logs || []));
+          await this.restoreData(backup.data);
 
           window.ErrorHandler.logInfo('Backup imported', { timestamp: backup.timestamp });
           
@@ -252,7 +249,7 @@ class BackupManager {
     }
     
     this.autoBackupTimer = setInterval(() => {
-      this.createBackup();
+      this.createBackup().catch(() => {});
     }, this.backupInterval);
   }
 
@@ -269,22 +266,18 @@ class BackupManager {
   /**
    * Clear all backups
    */
-  clearAllBackups() {
-    const backupKeys = Object.keys(localStorage)
-      .filter(key => key.startsWith('backup_'));
-    
-    backupKeys.forEach(key => {
-      localStorage.removeItem(key);
-    });
+  async clearAllBackups() {
+    const count = await window.AppStorage.count(this.store);
+    await window.AppStorage.clear(this.store);
     
-    window.ErrorHandler.logInfo('All backups cleared', { count: backupKeys.length });
+    window.ErrorHandler.logInfo('All backups cleared', { count });
   }
 
   /**
    * Get backup statistics
    */
-  getBackupStats() {
-    const backups = this.getBackups();
+  async getBackupStats() {
+    const backups = await this.getBackups();
     const totalSize = backups.reduce((sum, backup) => sum + backup.dataSize, 0);
     
     return {
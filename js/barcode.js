@@ -0,0 +1,91 @@
+/**
+ * Barcode Generator - Code 128 (set B) barcodes rendered as inline SVG
+ * Used for order IDs on printed production sheets
+ */
+
+class BarcodeGenerator {
+  constructor() {
+    // Bar/space module widths for Code 128 values 0-106 (106 is the stop pattern)
+    this.patterns = [
+      '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+      '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+      '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+      '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+      '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+      '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+      '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+      '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+      '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+      '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+      '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+    this.START_B = 104;
+    this.STOP = 106;
+    this.quietZone = 10; // modules of white space on each side
+  }
+
+  /**
+   * Encode text as a list of Code 128 values (start B, data, checksum, stop)
+   */
+  encode(text) {
+    const values = [this.START_B];
+    for (const ch of String(text)) {
+      const code = ch.charCodeAt(0);
+      if (code < 32 || code > 127) {
+        throw new Error(`Character "${ch}" cannot be encoded in Code 128 set B`);
+      }
+      values.push(code - 32);
+    }
+    const checksum = values.reduce((sum, v, i) => sum + v * (i === 0 ? 1 : i), 0) % 103;
+    values.push(checksum, this.STOP);
+    return values;
+  }
+
+  /**
+   * Bar widths (alternating bar/space, starting with a bar)
+   */
+  toWidths(text) {
+    return this.encode(text).map(v => this.patterns[v]).join('').split('').map(Number);
+  }
+
+  /**
+   * Render a Code 128 barcode as an SVG string
+   */
+  toSVG(text, options = {}) {
+    const { height = 60, moduleWidth = 2, showText = true, fontSize = 14 } = options;
+    const widths = this.toWidths(text);
+    const totalModules = widths.reduce((a, b) => a + b, 0) + this.quietZone * 2;
+    const width = totalModules * moduleWidth;
+    const textHeight = showText ? fontSize + 6 : 0;
+
+    let x = this.quietZone * moduleWidth;
+    const bars = [];
+    widths.forEach((w, i) => {
+      if (i % 2 === 0) {
+        bars.push(`<rect x="${x}" y="0" width="${w * moduleWidth}" height="${height}" />`);
+      }
+      x += w * moduleWidth;
+    });
+
+    const label = showText
+      ? `<text x="${width / 2}" y="${height + fontSize + 2}" text-anchor="middle" font-family="monospace" font-size="${fontSize}">${this.escape(text)}</text>`
+      : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="barcode" width="${width}" height="${height + textHeight}" viewBox="0 0 ${width} ${height + textHeight}" role="img" aria-label="Barcode ${this.escape(text)}"><rect width="100%" height="100%" fill="#fff" /><g fill="#000">${bars.join('')}</g>${label}</svg>`;
+  }
+
+  /**
+   * Escape text for SVG markup
+   */
+  escape(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+}
+
+// Global barcode instance
+window.Barcode = new BarcodeGenerator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BarcodeGenerator;
+}
@@ -1,5 +1,5 @@
 /**
- * Cache Manager - Handles data caching with memory and localStorage
+ * Cache Manager - Handles data caching in memory and the AppStorage cache store
  * Provides intelligent caching with TTL, invalidation, and fallback strategies
  */
 
@@ -8,7 +8,7 @@ class CacheManager {
     this.memoryCache = new Map();
     this.defaultTTL = 5 * 60 * 1000; // 5 minutes
     this.maxMemorySize = 50; // Max items in memory cache
-    this.storagePrefix = 'jersey_cache_';
+    this.store = 'cache'; // AppStorage store, one { key, data, timestamp, ttl } record per entry
     this.isInitialized = false;
   }
 
@@ -20,7 +20,7 @@ class CacheManager {
     
     console.log('[CacheManager] Initializing...');
     
-    // Clean expired entries from localStorage on startup
+    // Clean expired entries from storage on startup
     this.cleanExpiredEntries();
     
     // Setup periodic cleanup
@@ -42,7 +42,7 @@ class CacheManager {
   }
 
   /**
-   * Get data from cache (memory first, then localStorage)
+   * Get data from cache (memory first, then storage)
    */
   async get(key) {
     // Check memory cache first
@@ -56,22 +56,21 @@ class CacheManager {
       }
     }
 
-    // Check localStorage
+    // Check storage
     try {
-      const stored = localStorage.getItem(this.storagePrefix + key);
-      if (stored) {
-        const item = JSON.parse(stored);
+      const item = await window.AppStorage.get(this.store, key);
+      if (item) {
         if (this.isValid(item)) {
           // Move to memory cache for faster access
           this.setMemoryCache(key, item);
           console.log(`[CacheManager] Storage hit for key: ${key}`);
           return item.data;
         } else {
-          localStorage.removeItem(this.storagePrefix + key);
+          await window.AppStorage.delete(this.store, key);
         }
       }
     } catch (error) {
-      console.warn('[CacheManager] Error reading from localStorage:', error);
+      console.warn('[CacheManager] Error reading from storage:', error);
     }
 
     console.log(`[CacheManager] Cache miss for key: ${key}`);
@@ -79,7 +78,7 @@ class CacheManager {
   }
 
   /**
-   * Set data in cache (both memory and localStorage)
+   * Set data in cache (both memory and storage)
    */
   async set(key, data, ttl = this.defaultTTL) {
     const item = {
@@ -91,12 +90,12 @@ class CacheManager {
     // Set in memory cache
     this.setMemoryCache(key, item);
 
-    // Set in localStorage
+    // Set in storage
     try {
-      localStorage.setItem(this.storagePrefix + key, JSON.stringify(item));
+      await window.AppStorage.put(this.store, { key, ...item });
       console.log(`[CacheManager] Cached data for key: ${key}`);
     } catch (error) {
-      console.warn('[CacheManager] Error writing to localStorage:', error);
+      console.warn('[CacheManager] Error writing to storage:', error);
     }
   }
 
@@ -126,10 +125,10 @@ class CacheManager {
   async invalidate(key) {
     this.memoryCache.delete(key);
     try {
-      localStorage.removeItem(this.storagePrefix + key);
+      await window.AppStorage.delete(this.store, key);
       console.log(`[CacheManager] Invalidated cache for key: ${key}`);
     } catch (error) {
-      console.warn('[CacheManager] Error removing from localStorage:', error);
+      console.warn('[CacheManager] Error removing from storage:', error);
     }
   }
 
@@ -144,46 +143,27 @@ class CacheManager {
       }
     }
 
-    // Clear from localStorage
+    // Clear from storage
     try {
-      const keys = Object.keys(localStorage);
-      keys.forEach(key => {
-        if (key.startsWith(this.storagePrefix + collection)) {
-          localStorage.removeItem(key);
-        }
-      });
+      const keys = (await window.AppStorage.keys(this.store)).filter(key => String(key).startsWith(collection));
+      await window.AppStorage.batch(keys.map(key => ({ store: this.store, type: 'delete', key })));
       console.log(`[CacheManager] Invalidated all cache for collection: ${collection}`);
     } catch (error) {
-      console.warn('[CacheManager] Error clearing collection from localStorage:', error);
+      console.warn('[CacheManager] Error clearing collection from storage:', error);
     }
   }
 
   /**
-   * Clean expired entries from localStorage
+   * Clean expired entries from storage
    */
-  cleanExpiredEntries() {
+  async cleanExpiredEntries() {
     try {
-      const keys = Object.keys(localStorage);
-      let cleaned = 0;
-      
-      keys.forEach(key => {
-        if (key.startsWith(this.storagePrefix)) {
-          try {
-            const item = JSON.parse(localStorage.getItem(key));
-            if (!this.isValid(item)) {
-              localStorage.removeItem(key);
-              cleaned++;
-            }
-          } catch (error) {
-            // Remove corrupted entries
-            localStorage.removeItem(key);
-            cleaned++;
-          }
-        }
-      });
+      const items = await window.AppStorage.all(this.store);
+      const expired = items.filter(item => !item || !this.isValid(item));
+      await window.AppStorage.batch(expired.map(item => ({ store: this.store, type: 'delete', key: item.key })));
 
-      if (cleaned > 0) {
-        console.log(`[CacheManager] Cleaned ${cleaned} expired cache entries`);
+      if (expired.length > 0) {
+        console.log(`[CacheManager] Cleaned ${expired.length} expired cache entries`);
       }
     } catch (error) {
       console.warn('[CacheManager] Error cleaning expired entries:', error);
@@ -196,12 +176,7 @@ class CacheManager {
   async clear() {
     this.memoryCache.clear();
     try {
-      const keys = Object.keys(localStorage);
-      keys.forEach(key => {
-        if (key.startsWith(this.storagePrefix)) {
-          localStorage.removeItem(key);
-        }
-      });
+      await window.AppStorage.clear(this.store);
       console.log('[CacheManager] Cleared all cache');
     } catch (error) {
       console.warn('[CacheManager] Error clearing cache:', error);
@@ -211,13 +186,12 @@ class CacheManager {
   /**
    * Get cache statistics
    */
-  getStats() {
+  async getStats() {
     const memorySize = this.memoryCache.size;
     let storageSize = 0;
     
     try {
-      const keys = Object.keys(localStorage);
-      storageSize = keys.filter(key => key.startsWith(this.storagePrefix)).length;
+      storageSize = await window.AppStorage.count(this.store);
     } catch (error) {
       console.warn('[CacheManager] Error getting storage stats:', error);
     }
@@ -0,0 +1,186 @@
+/**
+ * Client Links - Expiring, revocable access tokens for the client portal
+ * Each link is a clientLinks/{token} doc holding the order ID, expiry and a snapshot of the order
+ */
+
+class ClientLinks {
+  constructor() {
+    this.collection = 'clientLinks';
+    // The only order fields a token holder may write (mirrored in firestore.rules)
+    this.rosterFields = ['jerseys', 'submittedAt', 'status', 'statusHistory', 'statusTimestamps', 'statusUpdatedAt', 'clientToken'];
+    // Order fields the client portal needs to render the form
+    this.snapshotFields = ['customerName', 'email', 'mobile', 'quantity', 'material', 'rosterRules', 'createdAt', 'status', 'statusHistory', 'statusTimestamps', 'jerseys', 'submittedAt', 'version', 'jtype', 'jname', 'jnum', 'cat', 'size', 'sleeve', 'shorts', 'lastRevision'];
+  }
+
+  /**
+   * Link settings from config
+   */
+  getConfig() {
+    const config = (window.AppConfig && window.AppConfig.clientLinks) || {};
+    return { ttlDays: config.ttlDays || 14, tokenBytes: config.tokenBytes || 24 };
+  }
+
+  /**
+   * Random URL-safe token (hex)
+   */
+  generateToken() {
+    const bytes = new Uint8Array(this.getConfig().tokenBytes);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Client portal URL for a token
+   */
+  buildUrl(orderId, token, origin = window.location.origin) {
+    return `${origin}/client.html?order=${encodeURIComponent(orderId)}&token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Copy of the order fields the portal shows (clients cannot read orders directly)
+   */
+  buildSnapshot(order) {
+    const snapshot = {};
+    this.snapshotFields.forEach(f => {
+      if (order[f] !== undefined) snapshot[f] = order[f];
+    });
+    return snapshot;
+  }
+
+  /**
+   * State of an order's current link: none, active, expired or revoked
+   */
+  getState(order, now = Date.now()) {
+    const link = order && order.clientLink;
+    if (!link || !link.token) return 'none';
+    if (link.revoked) return 'revoked';
+    if (Number(link.expiresAt) <= now) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Check a loaded link doc against the order in the URL
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  validate(link, orderId, now = Date.now()) {
+    if (!link) return { valid: false, reason: 'missing' };
+    if (link.orderId !== orderId) return { valid: false, reason: 'mismatch' };
+    if (link.revoked) return { valid: false, reason: 'revoked' };
+    if (!(Number(link.expiresAt) > now)) return { valid: false, reason: 'expired' };
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Create a new link for an order, revoking the previous one
+   * @returns {Promise<{token: string, url: string, expiresAt: number}>}
+   */
+  async create(order, options = {}) {
+    const db = window.firebaseServices.db;
+    const by = options.by || 'unknown';
+    const ttlDays = options.ttlDays || this.getConfig().ttlDays;
+    const createdAt = new Date().toISOString();
+    const expiresAt = Date.now() + ttlDays * 24 * 60 * 60 * 1000;
+    const token = this.generateToken();
+
+    if (this.getState(order) === 'active') {
+      await this.revoke(order.id, order.clientLink.token, by);
+    }
+
+    await db.collection(this.collection).doc(token).set({
+      orderId: order.id,
+      createdAt,
+      createdBy: by,
+      expiresAt, // epoch ms, compared against request.time in firestore.rules
+      revoked: false,
+      order: this.buildSnapshot(order)
+    });
+
+    const clientLink = { token, createdAt, createdBy: by, expiresAt, revoked: false };
+    await db.collection('orders').doc(order.id).set({ clientLink }, { merge: true });
+    await window.AuditLog.record('order', order.id, { clientLink: order.clientLink }, { clientLink }, { action: 'client_link' });
+
+    return { token, url: this.buildUrl(order.id, token), expiresAt };
+  }
+
+  /**
+   * Revoke a link so the client portal and rules reject it
+   */
+  async revoke(orderId, token, by = 'unknown') {
+    const db = window.firebaseServices.db;
+    const revokedAt = new Date().toISOString();
+    await db.collection(this.collection).doc(token).set({ revoked: true, revokedAt, revokedBy: by }, { merge: true });
+
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    const current = orderDoc.exists ? (orderDoc.data().clientLink || {}) : {};
+    if (current.token === token) {
+      const clientLink = { ...current, revoked: true, revokedAt, revokedBy: by };
+      await db.collection('orders').doc(orderId).set({ clientLink }, { merge: true });
+      await window.AuditLog.record('order', orderId, { clientLink: current }, { clientLink }, { action: 'client_link' });
+    }
+  }
+
+  /**
+   * Refresh the order snapshot on an active link after staff edit the order
+   */
+  async refreshSnapshot(order) {
+    if (this.getState(order) !== 'active') return false;
+    await window.firebaseServices.db.collection(this.collection).doc(order.clientLink.token).set({ order: this.buildSnapshot(order) }, { merge: true });
+    return true;
+  }
+
+  /**
+   * Load a link doc by token
+   */
+  async load(token) {
+    if (!token) return null;
+    const doc = await window.firebaseServices.db.collection(this.collection).doc(token).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Keep only the fields a token holder may write, tagged with the token for the rules
+   */
+  buildRosterPatch(token, fields) {
+    const patch = { clientToken: token };
+    this.rosterFields.forEach(f => {
+      if (fields[f] !== undefined && f !== 'clientToken') patch[f] = fields[f];
+    });
+    return patch;
+  }
+
+  /**
+   * Save a client's roster to the order as the version after baseVersion and refresh the link snapshot
+   * The rules accept this only before the roster is first submitted; later changes are RosterRevisions requests.
+   * Clients cannot read the order, so the rules reject a stale version; the link snapshot (which staff
+   * saves refresh) then tells a conflict, thrown with the current snapshot, from any other failure.
+   */
+  async submitRoster(token, orderId, fields, { baseVersion = 0 } = {}) {
+    const db = window.firebaseServices.db;
+    const patch = this.buildRosterPatch(token, fields);
+    const link = await this.load(token);
+    let stamp;
+    try {
+      stamp = await window.OrderRepository.patchContent(orderId, patch, { baseVersion, blind: true });
+    } catch (error) {
+      const latest = await this.load(token).catch(() => null);
+      if (latest && latest.order && window.OrderRepository.versionOf(latest.order) !== baseVersion) {
+        throw window.OrderRepository.conflict({ ...latest.order, id: orderId });
+      }
+      throw error;
+    }
+    // Clients cannot read the order, so the link snapshot stands in for the previous values
+    await window.AuditLog.record('order', orderId, (link && link.order) || {}, patch, { action: 'roster', clientToken: token });
+
+    const order = { ...(link && link.order ? link.order : {}), jerseys: patch.jerseys, submittedAt: patch.submittedAt, status: patch.status, version: stamp.version };
+    await db.collection(this.collection).doc(token).set({ order }, { merge: true });
+    return { ...patch, ...stamp };
+  }
+}
+
+// Global client links instance
+window.ClientLinks = new ClientLinks();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ClientLinks;
+}
@@ -86,6 +86,48 @@ const AppConfig = {
     enableTooltips: true
   },
 
+  // Order and invoice numbering
+  ids: {
+    order: {
+      prefix: 'ORD',
+      padding: 2,
+      yearlyReset: true,
+      reserveOffline: true,
+      collection: 'orders'
+    },
+    invoice: {
+      prefix: 'INV',
+      padding: 3,
+      yearlyReset: true,
+      reserveOffline: false, // invoice numbers are only issued online, so unused reservations leave no gaps
+      collection: 'invoices'
+    },
+    offlineReserve: 5 // order IDs reserved per device for offline use
+  },
+
+  // Client portal links
+  clientLinks: {
+    ttlDays: 14, // links stop working after this many days
+    tokenBytes: 24
+  },
+
+  // Staff roles (see js/roles.js and firestore.rules)
+  roles: {
+    defaultRole: 'none' // accounts without a stored role, e.g. self sign-ups until an owner invites them (scripts/migrate-roles.js gives existing accounts theirs)
+  },
+
+  // Staff invites from the Users page (see js/staff-users.js)
+  staffInvites: {
+    ttlDays: 7, // invites must be accepted within this many days
+    tokenBytes: 24
+  },
+
+  // Client messages (see js/messaging.js and api/notify.js)
+  messaging: {
+    endpoint: '/api/notify',
+    defaultChannel: 'email' // templates live on the server (api/_lib/messages.js)
+  },
+
   // Validation rules
   validation: {
     orderId: {
@@ -113,7 +155,20 @@ const AppConfig = {
     },
     jerseyNumber: {
       min: 0,
-      max: 999
+      max: 99
+    },
+    // Default roster rules; each order can override them via its rosterRules field
+    roster: {
+      uniqueNumbers: true,
+      maxNameLength: 15,
+      nameCharset: 'print',
+      maxKeepers: null, // null = no limit
+      allowedCategories: ['Adult', 'Kids', 'Muslima'],
+      charsets: {
+        letters: { label: 'Letters and spaces', pattern: 'A-Za-z ' },
+        print: { label: "Letters, digits, spaces and . ' -", pattern: "A-Za-z0-9 .'\\-" },
+        any: { label: 'Any characters', pattern: null }
+      }
     }
   },
 
@@ -0,0 +1,239 @@
+/**
+ * Customer Merge - Duplicate customer detection and reversible merges
+ * Candidate pairs are scored on name similarity and shared mobile/email; each merge keeps a customerMerges/{id} undo record
+ */
+
+class CustomerMerge {
+  constructor() {
+    this.collection = 'customerMerges';
+    this.threshold = 0.5;
+    // Score weights: a similar name alone, or a shared contact plus a loosely similar name, makes a candidate
+    this.weights = { name: 0.5, mobile: 0.3, email: 0.3 };
+  }
+
+  /**
+   * Edit distance between two strings
+   */
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Name similarity from 0 to 1, ignoring case, punctuation and word order ("Male FC" ~ "F.C. Male")
+   */
+  nameSimilarity(a, b) {
+    const normalize = window.Customers.normalizeName.bind(window.Customers);
+    const ratio = (x, y) => (x || y ? 1 - this.levenshtein(x, y) / Math.max(x.length, y.length) : 0);
+    const sorted = name => normalize(name).split(' ').sort().join(' ');
+    const squash = name => normalize(name).replace(/ /g, '');
+    return Math.max(ratio(normalize(a), normalize(b)), ratio(sorted(a), sorted(b)), ratio(squash(a), squash(b)));
+  }
+
+  /**
+   * Normalized mobiles and emails of a customer's contacts
+   */
+  contactKeys(customer) {
+    const customers = window.Customers;
+    const contacts = customer.contacts || [];
+    return {
+      mobiles: new Set(contacts.map(c => customers.normalizeContact(c.mobile, 'mobile')).filter(m => m.length >= 7)),
+      emails: new Set(contacts.map(c => customers.normalizeContact(c.email, 'email')).filter(Boolean))
+    };
+  }
+
+  /**
+   * Duplicate score for two customers with the reasons behind it
+   * @returns {{score: number, reasons: Array<string>}}
+   */
+  scorePair(a, b) {
+    const name = this.nameSimilarity(a.name, b.name);
+    const keysA = this.contactKeys(a);
+    const keysB = this.contactKeys(b);
+    const sharedMobile = [...keysA.mobiles].some(m => keysB.mobiles.has(m));
+    const sharedEmail = [...keysA.emails].some(e => keysB.emails.has(e));
+
+    const reasons = [];
+    const sameName = window.Customers.normalizeName(a.name) === window.Customers.normalizeName(b.name);
+    if (name >= 0.6) reasons.push(sameName ? 'Same name' : `Names ${Math.round(name * 100)}% alike`);
+    if (sharedMobile) reasons.push('Same mobile');
+    if (sharedEmail) reasons.push('Same email');
+
+    const score = name * this.weights.name + (sharedMobile ? this.weights.mobile : 0) + (sharedEmail ? this.weights.email : 0);
+    return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+  }
+
+  /**
+   * Likely duplicate pairs, best first; pairs marked as distinct are skipped
+   * @returns {Array<{a: Object, b: Object, score: number, reasons: Array<string>}>}
+   */
+  findCandidates(customers, threshold = this.threshold) {
+    const pairs = [];
+    for (let i = 0; i < customers.length; i++) {
+      for (let j = i + 1; j < customers.length; j++) {
+        const a = customers[i];
+        const b = customers[j];
+        if ((a.distinctFrom || []).includes(b.id) || (b.distinctFrom || []).includes(a.id)) continue;
+        const { score, reasons } = this.scorePair(a, b);
+        if (score >= threshold) pairs.push({ a, b, score, reasons });
+      }
+    }
+    return pairs.sort((x, y) => y.score - x.score);
+  }
+
+  /**
+   * Combined record: the survivor's name with both sides' contacts, addresses and notes
+   */
+  mergeRecords(survivor, duplicate) {
+    const customers = window.Customers;
+    const contactKey = c => `${customers.normalizeContact(c.email, 'email')}|${customers.normalizeContact(c.mobile, 'mobile')}`;
+    const addressKey = a => customers.normalizeName(a.address);
+    const unique = (list, key) => list.filter((item, i) => list.findIndex(other => key(other) === key(item)) === i);
+    const notes = [survivor.notes, duplicate.notes].map(n => String(n || '').trim()).filter(Boolean);
+    return customers.build({
+      name: survivor.name,
+      contacts: unique([...(survivor.contacts || []), ...(duplicate.contacts || [])], contactKey),
+      addresses: unique([...(survivor.addresses || []), ...(duplicate.addresses || [])], addressKey),
+      notes: Array.from(new Set(notes)).join('\n\n')
+    });
+  }
+
+  /**
+   * Unique merge ID, sortable by creation time
+   */
+  generateId() {
+    return `merge_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Orders pointing at a customer, and the invoices of those orders
+   */
+  async loadLinked(customerId) {
+    const db = window.firebaseServices.db;
+    const orderSnap = await db.collection('orders').where('customerId', '==', customerId).get();
+    const orders = [];
+    orderSnap.forEach(doc => orders.push({ id: doc.id, ...doc.data() }));
+    const invoices = [];
+    for (const order of orders) {
+      const invoiceSnap = await db.collection('invoices').where('orderId', '==', order.id).get();
+      invoiceSnap.forEach(doc => invoices.push({ id: doc.id, ...doc.data() }));
+    }
+    return { orders, invoices };
+  }
+
+  /**
+   * Merge a duplicate into the survivor: combine the records, re-point orders and invoices, keep an undo record
+   * @returns {Promise<Object>} the merge record
+   */
+  async merge(survivorId, duplicateId, by = 'unknown') {
+    if (survivorId === duplicateId) throw new Error('Choose two different customers.');
+    const db = window.firebaseServices.db;
+    const customers = window.Customers;
+    const [survivor, duplicate] = await Promise.all([customers.load(survivorId), customers.load(duplicateId)]);
+    if (!survivor || !duplicate) throw new Error('Customer not found.');
+    if (survivor.mergedInto || duplicate.mergedInto) throw new Error('One of these customers has already been merged.');
+
+    const { orders, invoices } = await this.loadLinked(duplicateId);
+    const at = new Date().toISOString();
+    const id = this.generateId();
+    const strip = ({ id: _id, ...fields }) => fields;
+    const record = {
+      survivorId,
+      duplicateId,
+      survivorBefore: strip(survivor),
+      duplicate: strip(duplicate),
+      orderIds: orders.map(o => o.id),
+      invoices: invoices.map(inv => ({ id: inv.id, customerId: inv.customerId || null })),
+      mergedAt: at,
+      mergedBy: by,
+      undone: false
+    };
+    // Written first so an interrupted merge can still be undone
+    await db.collection(this.collection).doc(id).set(record);
+
+    const merged = { ...this.mergeRecords(survivor, duplicate), updatedAt: at, updatedBy: by };
+    await db.collection(customers.collection).doc(survivorId).set(merged, { merge: true });
+    await db.collection(customers.collection).doc(duplicateId).set({ mergedInto: survivorId, mergedAt: at, mergedBy: by }, { merge: true });
+    await window.AuditLog.record('customer', survivorId, survivor, merged, { action: 'merge' });
+    await window.AuditLog.record('customer', duplicateId, duplicate, { mergedInto: survivorId }, { action: 'merge' });
+
+    for (const order of orders) {
+      await db.collection('orders').doc(order.id).set({ customerId: survivorId }, { merge: true });
+      await window.AuditLog.record('order', order.id, order, { customerId: survivorId }, { action: 'merge' });
+    }
+    for (const invoice of invoices) {
+      await db.collection('invoices').doc(invoice.id).set({ customerId: survivorId }, { merge: true });
+      await window.AuditLog.record('invoice', invoice.id, invoice, { customerId: survivorId }, { action: 'merge' });
+    }
+    return { id, ...record };
+  }
+
+  /**
+   * Reverse a merge: restore both customer records and move the orders and invoices back
+   * Orders or invoices re-pointed again since the merge are left alone
+   */
+  async undo(mergeId, by = 'unknown') {
+    const db = window.firebaseServices.db;
+    const customers = window.Customers;
+    const doc = await db.collection(this.collection).doc(mergeId).get();
+    if (!doc.exists) throw new Error('Merge record not found.');
+    const record = doc.data();
+    if (record.undone) throw new Error('This merge has already been undone.');
+
+    const survivorNow = await customers.load(record.survivorId);
+    await db.collection(customers.collection).doc(record.survivorId).set(record.survivorBefore);
+    await db.collection(customers.collection).doc(record.duplicateId).set(record.duplicate);
+    await window.AuditLog.record('customer', record.survivorId, survivorNow, record.survivorBefore, { action: 'merge_undo' });
+
+    for (const orderId of record.orderIds || []) {
+      const orderDoc = await db.collection('orders').doc(orderId).get();
+      if (!orderDoc.exists || orderDoc.data().customerId !== record.survivorId) continue;
+      await db.collection('orders').doc(orderId).set({ customerId: record.duplicateId }, { merge: true });
+      await window.AuditLog.record('order', orderId, orderDoc.data(), { customerId: record.duplicateId }, { action: 'merge_undo' });
+    }
+    for (const invoice of record.invoices || []) {
+      const invoiceDoc = await db.collection('invoices').doc(invoice.id).get();
+      if (!invoiceDoc.exists || invoiceDoc.data().customerId !== record.survivorId) continue;
+      const customerId = invoice.customerId || record.duplicateId;
+      await db.collection('invoices').doc(invoice.id).set({ customerId }, { merge: true });
+      await window.AuditLog.record('invoice', invoice.id, invoiceDoc.data(), { customerId }, { action: 'merge_undo' });
+    }
+
+    await db.collection(this.collection).doc(mergeId).set({ undone: true, undoneAt: new Date().toISOString(), undoneBy: by }, { merge: true });
+  }
+
+  /**
+   * Mark two customers as not duplicates so they are no longer suggested
+   */
+  async markDistinct(a, b, by = 'unknown') {
+    const db = window.firebaseServices.db;
+    const at = new Date().toISOString();
+    await db.collection(window.Customers.collection).doc(a.id).set({ distinctFrom: Array.from(new Set([...(a.distinctFrom || []), b.id])), updatedAt: at, updatedBy: by }, { merge: true });
+    await db.collection(window.Customers.collection).doc(b.id).set({ distinctFrom: Array.from(new Set([...(b.distinctFrom || []), a.id])), updatedAt: at, updatedBy: by }, { merge: true });
+  }
+
+  /**
+   * Recent merges, newest first
+   */
+  async listMerges(limit = 20) {
+    const snapshot = await window.firebaseServices.db.collection(this.collection).get();
+    const merges = [];
+    snapshot.forEach(doc => merges.push({ id: doc.id, ...doc.data() }));
+    return merges.sort((a, b) => String(b.mergedAt).localeCompare(String(a.mergedAt))).slice(0, limit);
+  }
+}
+
+// Global customer merge instance
+window.CustomerMerge = new CustomerMerge();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomerMerge;
+}
@@ -0,0 +1,130 @@
+/**
+ * Customer Statement - Account summary and date-range statements per customer
+ * Lifetime value, open invoices and outstanding balance are derived from invoices and their payment ledgers
+ */
+
+class CustomerStatement {
+  /**
+   * A customer's invoices: linked by customerId, or through one of their orders for invoices created before customers existed
+   */
+  invoicesFor(customerId, orders, invoices) {
+    const orderIds = new Set(orders.filter(o => o.customerId === customerId).map(o => o.id));
+    return invoices.filter(inv => inv.customerId ? inv.customerId === customerId : orderIds.has(inv.orderId));
+  }
+
+  /**
+   * Account summary for a customer's orders and invoices
+   * @returns {{orderCount: number, lifetimeValue: number, paid: number, outstanding: number, openInvoices: Array<Object>, lastOrderDate: string|null, currency: string|null}}
+   */
+  summarize(orders, invoices, asOf = new Date()) {
+    const ledger = window.PaymentLedger;
+    const day = 24 * 60 * 60 * 1000;
+    const openInvoices = invoices
+      .map(inv => ({ ...inv, paid: ledger.getPaid(inv), balance: ledger.getBalance(inv) }))
+      .filter(inv => inv.balance > 0)
+      .map(inv => ({ ...inv, ageDays: inv.issuedAt ? Math.max(0, Math.floor((asOf - new Date(inv.issuedAt)) / day)) : null }))
+      .sort((a, b) => String(a.issuedAt || '').localeCompare(String(b.issuedAt || '')));
+    const lastOrder = orders.map(o => o.createdAt).filter(Boolean).sort().pop();
+
+    return {
+      orderCount: orders.length,
+      lifetimeValue: this.round(invoices.reduce((sum, inv) => sum + (Number(inv.total) || 0), 0)),
+      paid: this.round(invoices.reduce((sum, inv) => sum + ledger.getPaid(inv), 0)),
+      outstanding: this.round(openInvoices.reduce((sum, inv) => sum + inv.balance, 0)),
+      openInvoices,
+      lastOrderDate: lastOrder || null,
+      currency: (invoices.find(inv => inv.currency) || {}).currency || null
+    };
+  }
+
+  /**
+   * Invoices (debits) and payments (credits) on one timeline, dated YYYY-MM-DD
+   */
+  buildEntries(invoices) {
+    const ledger = window.PaymentLedger;
+    const entries = [];
+    for (const inv of invoices) {
+      const ref = inv.invoiceId || inv.id;
+      entries.push({
+        date: String(inv.issuedAt || '').slice(0, 10),
+        type: 'invoice',
+        reference: ref,
+        description: `Invoice ${ref}${inv.orderId ? ` · Order ${inv.orderId}` : ''}`,
+        debit: this.round(inv.total),
+        credit: 0
+      });
+      for (const p of ledger.getPayments(inv)) {
+        entries.push({
+          date: String(p.date || '').slice(0, 10),
+          type: 'payment',
+          reference: ref,
+          description: `Payment${p.method ? ` · ${ledger.getMethodLabel(p.method)}` : ''}${p.reference ? ` · ${p.reference}` : ''}`,
+          debit: 0,
+          credit: this.round(p.amount)
+        });
+      }
+    }
+    // Same-day invoices come before the payments against them
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || (a.type === b.type ? 0 : a.type === 'invoice' ? -1 : 1));
+  }
+
+  /**
+   * Statement for a date range (inclusive, YYYY-MM-DD; either end may be empty) with opening, running and closing balances
+   * @returns {{from: string, to: string, opening: number, entries: Array<Object>, debits: number, credits: number, closing: number}}
+   */
+  build(invoices, from = '', to = '') {
+    let opening = 0;
+    const entries = [];
+    for (const entry of this.buildEntries(invoices)) {
+      if (from && entry.date < from) {
+        opening += entry.debit - entry.credit;
+      } else if (!to || entry.date <= to) {
+        entries.push(entry);
+      }
+    }
+    opening = this.round(opening);
+    let balance = opening;
+    const rows = entries.map(entry => {
+      balance = this.round(balance + entry.debit - entry.credit);
+      return { ...entry, balance };
+    });
+    return {
+      from,
+      to,
+      opening,
+      entries: rows,
+      debits: this.round(rows.reduce((sum, e) => sum + e.debit, 0)),
+      credits: this.round(rows.reduce((sum, e) => sum + e.credit, 0)),
+      closing: balance
+    };
+  }
+
+  /**
+   * Load a customer's orders and invoices
+   * @returns {Promise<{orders: Array<Object>, invoices: Array<Object>}>}
+   */
+  async load(customerId) {
+    const orders = (await window.OrderRepository.where('customerId', customerId)).map(o => window.OrderRepository.toOrder(o.id, o));
+
+    const invoices = new Map();
+    const add = list => list.forEach(inv => invoices.set(inv.id, inv));
+    add(await window.InvoiceRepository.where('customerId', customerId));
+    for (const order of orders) add(await window.InvoiceRepository.forOrder(order.id));
+    return { orders, invoices: this.invoicesFor(customerId, orders, Array.from(invoices.values())) };
+  }
+
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(Number(amount || 0) * 100) / 100;
+  }
+}
+
+// Global customer statement instance
+window.CustomerStatement = new CustomerStatement();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomerStatement;
+}
@@ -0,0 +1,208 @@
+/**
+ * Customers - First-class customer records with stable IDs
+ * Each customers/{id} doc holds the name, contacts, addresses and notes; orders reference it by customerId
+ */
+
+class Customers {
+  constructor() {
+    this.collection = 'customers';
+    this.contactFields = ['name', 'email', 'mobile', 'role'];
+    this.addressFields = ['label', 'address'];
+  }
+
+  /**
+   * Unique customer ID, sortable by creation time
+   */
+  generateId() {
+    return `cust_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Comparison key for a customer name: case, accents, punctuation and spacing ignored ("F.C. Male" → "fc male")
+   */
+  normalizeName(name) {
+    return String(name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[-_/&]+/g, ' ')
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Comparison form of an email (lower-cased) or mobile number (digits only)
+   */
+  normalizeContact(value, type) {
+    const text = String(value || '').trim();
+    return type === 'mobile' ? text.replace(/\D/g, '') : text.toLowerCase();
+  }
+
+  /**
+   * Clean a customer record: trimmed fields, empty contacts and addresses dropped, nameKey set
+   */
+  build(fields) {
+    const clean = (list, keys) => (Array.isArray(list) ? list : [])
+      .map(item => Object.fromEntries(keys.map(k => [k, String((item && item[k]) || '').trim()])))
+      .filter(item => keys.some(k => item[k] && k !== 'role' && k !== 'label'));
+    const name = String(fields.name || '').trim();
+    return {
+      name,
+      nameKey: this.normalizeName(name),
+      contacts: clean(fields.contacts, this.contactFields),
+      addresses: clean(fields.addresses, this.addressFields),
+      notes: String(fields.notes || '').trim()
+    };
+  }
+
+  /**
+   * New customer record from an order's name, email and mobile
+   */
+  fromOrder(order) {
+    return this.build({
+      name: order.customerName,
+      contacts: [{ email: order.email, mobile: order.mobile }]
+    });
+  }
+
+  /**
+   * First contact, used for order prefill and listings
+   */
+  getPrimaryContact(customer) {
+    return (customer && customer.contacts && customer.contacts[0]) || { name: '', email: '', mobile: '', role: '' };
+  }
+
+  /**
+   * Existing customer with the same normalized name (shared contacts alone are not enough: one manager may run several teams)
+   */
+  match(customers, name) {
+    const key = this.normalizeName(name);
+    return (key && customers.find(c => (c.nameKey || this.normalizeName(c.name)) === key)) || null;
+  }
+
+  /**
+   * Add an order's email/mobile to a customer when it is not already one of their contacts
+   * @returns {boolean} whether a contact was added
+   */
+  addContactFromOrder(customer, order) {
+    const mail = this.normalizeContact(order.email, 'email');
+    const phone = this.normalizeContact(order.mobile, 'mobile');
+    if (!mail && !phone) return false;
+    const known = (customer.contacts || []).some(c =>
+      (!mail || this.normalizeContact(c.email, 'email') === mail) &&
+      (!phone || this.normalizeContact(c.mobile, 'mobile') === phone)
+    );
+    if (known) return false;
+    customer.contacts = [...(customer.contacts || []), { name: '', email: String(order.email || '').trim(), mobile: String(order.mobile || '').trim(), role: '' }];
+    return true;
+  }
+
+  /**
+   * All customers, by name (records merged into another are left out)
+   */
+  list() {
+    return window.CustomerRepository.list();
+  }
+
+  /**
+   * Load a customer by ID
+   */
+  load(id) {
+    return window.CustomerRepository.get(id);
+  }
+
+  /**
+   * Create or update a customer
+   * @returns {Promise<Object>} the stored customer with its ID
+   */
+  async save(fields, by = 'unknown') {
+    const customer = this.build(fields);
+    if (!customer.name) throw new Error('Customer name is required.');
+    const now = new Date().toISOString();
+    const id = fields.id || this.generateId();
+    const before = fields.id ? await this.load(fields.id) : null;
+    const record = { ...customer, updatedAt: now, updatedBy: by, ...(before ? {} : { createdAt: now, createdBy: by }) };
+    await window.CustomerRepository.save(id, record);
+    await window.AuditLog.record('customer', id, before, record);
+    return { id, ...(before || {}), ...record };
+  }
+
+  /**
+   * Customer ID for an order being saved: the one already chosen, a matching customer, or a new one
+   */
+  async resolveForOrder(order, customers, by = 'unknown') {
+    if (order.customerId && customers.some(c => c.id === order.customerId)) return order.customerId;
+    const existing = this.match(customers, order.customerName);
+    if (existing) return existing.id;
+    const created = await this.save(this.fromOrder(order), by);
+    customers.push(created);
+    return created.id;
+  }
+
+  /**
+   * Orders that belong to a customer
+   */
+  ordersFor(customerId, orders) {
+    return orders.filter(o => o.customerId === customerId);
+  }
+
+  /**
+   * Plan linking orders without a customerId: match existing customers, otherwise group into new ones
+   * @returns {{creates: Array<Object>, updates: Array<Object>, links: Array<{orderId: string, customerId: string}>}}
+   */
+  planMigration(orders, customers) {
+    const known = customers.map(c => ({ ...c, contacts: [...(c.contacts || [])] }));
+    const creates = [];
+    const updated = new Set();
+    const links = [];
+
+    orders
+      .filter(o => !o.customerId && String(o.customerName || '').trim())
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+      .forEach(order => {
+        let customer = this.match(known, order.customerName);
+        if (!customer) {
+          customer = { id: this.generateId(), ...this.fromOrder(order) };
+          known.push(customer);
+          creates.push(customer);
+        } else if (this.addContactFromOrder(customer, order) && !creates.includes(customer)) {
+          updated.add(customer);
+        }
+        links.push({ orderId: order.id, customerId: customer.id });
+      });
+
+    return { creates, updates: Array.from(updated), links };
+  }
+
+  /**
+   * Link every existing order to a customer record (safe to run again: linked orders are skipped)
+   * @returns {Promise<{created: number, linked: number}>}
+   */
+  async migrate(by = 'unknown') {
+    const repository = window.CustomerRepository;
+    const plan = this.planMigration(await window.OrderRepository.all(), await this.list());
+    const now = new Date().toISOString();
+
+    for (const customer of plan.creates) {
+      const { id, ...fields } = customer;
+      await repository.set(id, { ...fields, createdAt: now, createdBy: by, updatedAt: now, updatedBy: by, source: 'migration' });
+    }
+    for (const customer of plan.updates) {
+      await repository.save(customer.id, { contacts: customer.contacts, updatedAt: now, updatedBy: by });
+    }
+    for (const link of plan.links) {
+      await window.OrderRepository.patchSummary(link.orderId, { customerId: link.customerId });
+      await window.AuditLog.record('order', link.orderId, { customerId: null }, { customerId: link.customerId }, { source: 'customer-migration' });
+    }
+    return { created: plan.creates.length, linked: plan.links.length };
+  }
+}
+
+// Global customers instance
+window.Customers = new Customers();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Customers;
+}
@@ -69,14 +69,19 @@
         }
       }
 
-      // Configure Firestore for deployment
-      try {
-        db.settings({
-          ignoreUndefinedProperties: true
-        });
-        console.log('[Deployment] Firestore configured');
-      } catch (dbError) {
-        console.warn('[Deployment] Failed to configure Firestore:', dbError);
+      // Configure Firestore for deployment (emulator settings from firebase-bootstrap.js must not be replaced)
+      const emulator = window.FirebaseEmulator;
+      if (emulator && emulator.connected) {
+        console.log('[Deployment] Using Firebase emulators');
+      } else {
+        try {
+          db.settings({
+            ignoreUndefinedProperties: true
+          });
+          console.log('[Deployment] Firestore configured');
+        } catch (dbError) {
+          console.warn('[Deployment] Failed to configure Firestore:', dbError);
+        }
       }
 
       // Expose services globally
@@ -89,10 +94,13 @@
         
         if (user) {
           // Update session
+          // Keep the role already in the session; AuthManager.refreshRole syncs it from users/{uid}
+          let previous = null;
+          try { previous = JSON.parse(localStorage.getItem('userSession') || 'null'); } catch (_) {}
           localStorage.setItem('userSession', JSON.stringify({
             username: user.email,
             uid: user.uid,
-            role: 'User',
+            role: previous && previous.uid === user.uid ? previous.role : null,
             loginTime: new Date().toISOString()
           }));
         } else {
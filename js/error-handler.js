@@ -89,19 +89,15 @@ class ErrorHandler {
   }
 
   /**
-   * Add entry to local log
+   * Add entry to the local log (AppStorage logs store)
    */
-  addToLog(entry) {
+  async addToLog(entry) {
     try {
-      const logs = JSON.parse(localStorage.getItem('appLogs') || '[]');
-      logs.push(entry);
+      // Contexts can hold errors, promises or DOM nodes that IndexedDB cannot store; keep what JSON keeps
+      await window.AppStorage.put('logs', JSON.parse(JSON.stringify(entry)));
       
       // Keep only recent logs
-      if (logs.length > this.maxLogEntries) {
-        logs.splice(0, logs.length - this.maxLogEntries);
-      }
-      
-      localStorage.setItem('appLogs', JSON.stringify(logs));
+      await window.AppStorage.trim('logs', 'timestamp', this.maxLogEntries);
     } catch (error) {
       console.error('Failed to add log entry:', error);
     }
@@ -129,11 +125,11 @@ class ErrorHandler {
   }
 
   /**
-   * Get recent logs
+   * Get recent logs, oldest first
    */
-  getLogs(level = null, limit = 100) {
+  async getLogs(level = null, limit = 100) {
     try {
-      const logs = JSON.parse(localStorage.getItem('appLogs') || '[]');
+      const logs = (await window.AppStorage.all('logs')).sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
       let filteredLogs = logs;
       
       if (level) {
@@ -151,14 +147,14 @@ class ErrorHandler {
    * Clear logs
    */
   clearLogs() {
-    localStorage.removeItem('appLogs');
+    return window.AppStorage.clear('logs');
   }
 
   /**
    * Export logs
    */
-  exportLogs() {
-    const logs = this.getLogs();
+  async exportLogs() {
+    const logs = await this.getLogs();
     const blob = new Blob([JSON.stringify(logs, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
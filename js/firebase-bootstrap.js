@@ -26,6 +26,30 @@
     appId: '1:71940333413:web:c9986db4e5e314d8124b8c'
   };
 
+  // Local testing against the Firebase emulators (see firebase.json): open any page on localhost
+  // with ?emulator=1 to switch on, ?emulator=0 to switch off; the choice is kept in localStorage
+  const FirebaseEmulator = {
+    authUrl: 'http://127.0.0.1:9099',
+    firestoreHost: '127.0.0.1',
+    firestorePort: 8080,
+    connected: false,
+    isEnabled(){
+      const local = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+      const param = new URLSearchParams(window.location.search).get('emulator');
+      if (local && param !== null) localStorage.setItem('firebaseEmulator', param === '1' ? '1' : '0');
+      return local && localStorage.getItem('firebaseEmulator') === '1';
+    },
+    connect(auth, db){
+      if (this.connected || !this.isEnabled()) return this.connected;
+      auth.useEmulator(this.authUrl);
+      db.useEmulator(this.firestoreHost, this.firestorePort);
+      this.connected = true;
+      warn('Using local emulators:', this.authUrl, `${this.firestoreHost}:${this.firestorePort}`);
+      return true;
+    }
+  };
+  window.FirebaseEmulator = FirebaseEmulator;
+
   // Validate configuration for production
   if (!firebaseConfig.apiKey || !firebaseConfig.authDomain || !firebaseConfig.projectId) {
     err('Invalid Firebase configuration detected');
@@ -70,6 +94,12 @@
       warn('Failed to configure Firestore:', err);
     }
 
+    try {
+      FirebaseEmulator.connect(auth, db);
+    } catch (e) {
+      warn('Failed to connect to emulators:', e);
+    }
+
     // Expose globally (compat with existing code)
     window.firebaseApp = app;
     window.firebaseServices = { app, auth, db };
@@ -86,10 +116,13 @@
         log('User authenticated:', { uid: user.uid, email: user.email });
         
         // Update user session in localStorage
+        // Keep the role already in the session; AuthManager.refreshRole syncs it from users/{uid}
+        let previous = null;
+        try { previous = JSON.parse(localStorage.getItem('userSession') || 'null'); } catch (_) {}
         localStorage.setItem('userSession', JSON.stringify({
           username: user.email,
           uid: user.uid,
-          role: 'User',
+          role: previous && previous.uid === user.uid ? previous.role : null,
           loginTime: new Date().toISOString()
         }));
       } else {
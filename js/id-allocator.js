@@ -0,0 +1,261 @@
+/**
+ * ID Allocator - Collision-free order and invoice numbers
+ * Uses Firestore transactions on counters/{kind}; order IDs reserved ahead of time cover offline use
+ * (invoice numbers must stay gap-free, so they are only issued online), and a locked local counter
+ * covers localStorage-shim mode
+ */
+
+class IdAllocator {
+  constructor() {
+    this.counterCollection = 'counters';
+    this.localCounterKey = 'idCounters';
+    this.reservationKey = 'idReservations';
+    this.lockName = 'jersey-oms-id-allocator';
+    this.maxAttempts = 3;
+
+    this.defaults = {
+      order: { prefix: 'ORD', padding: 2, yearlyReset: true, reserveOffline: true, collection: 'orders' },
+      invoice: { prefix: 'INV', padding: 3, yearlyReset: true, reserveOffline: false, collection: 'invoices' },
+      offlineReserve: 5
+    };
+  }
+
+  /**
+   * Numbering settings for an ID kind
+   */
+  getConfig(kind) {
+    const ids = (window.AppConfig && window.AppConfig.ids) || {};
+    const config = Object.assign({}, this.defaults[kind], ids[kind]);
+    if (!config.prefix) throw new Error(`Unknown ID kind: ${kind}`);
+    return config;
+  }
+
+  /**
+   * Counter period: the current year, or 'all' when numbering never resets
+   */
+  getPeriod(kind) {
+    return this.getConfig(kind).yearlyReset ? new Date().getFullYear() : 'all';
+  }
+
+  /**
+   * Format a sequence number as an ID
+   */
+  format(kind, period, seq) {
+    const config = this.getConfig(kind);
+    const number = String(seq).padStart(config.padding, '0');
+    return period === 'all' ? `${config.prefix}-${number}` : `${config.prefix}-${period}-${number}`;
+  }
+
+  /**
+   * Parse the sequence number from an ID of this kind and period (null if it does not match)
+   */
+  parse(kind, period, id) {
+    const config = this.getConfig(kind);
+    const head = period === 'all' ? config.prefix : `${config.prefix}-${period}`;
+    const m = String(id || '').match(new RegExp('^' + head.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&') + '-(\\d+)$'));
+    return m ? parseInt(m[1], 10) : null;
+  }
+
+  /**
+   * Highest existing sequence in the collection (used to seed a new counter)
+   */
+  async scanMax(kind, period, db) {
+    if (!db) return 0;
+    const snap = await db.collection(this.getConfig(kind).collection).get();
+    let max = 0;
+    for (const doc of snap.docs) {
+      const n = this.parse(kind, period, doc.id);
+      if (n !== null && n > max) max = n;
+    }
+    return max;
+  }
+
+  /**
+   * Allocate the next ID
+   */
+  async next(kind) {
+    const db = window.firebaseServices && window.firebaseServices.db;
+    if (db && typeof db.runTransaction === 'function') {
+      if (navigator.onLine !== false) {
+        try {
+          const id = await this.allocateRemote(kind, db);
+          if (this.getConfig(kind).reserveOffline) this.topUpReservation(kind, db);
+          return id;
+        } catch (error) {
+          if (!this.isOfflineError(error)) throw error;
+        }
+      }
+      if (!this.getConfig(kind).reserveOffline) {
+        throw new Error(`New ${kind} numbers are only issued online. Reconnect and try again.`);
+      }
+      return this.takeReserved(kind);
+    }
+    return this.allocateLocal(kind, db);
+  }
+
+  /**
+   * Increment the Firestore counter by `count` inside a transaction; returns the first new sequence
+   */
+  async increment(kind, db, count = 1) {
+    const period = this.getPeriod(kind);
+    const ref = db.collection(this.counterCollection).doc(kind);
+
+    // Seed new or reset counters from IDs created before counters existed
+    let seed = 0;
+    const current = await ref.get();
+    if (!current.exists || current.data().period !== period) {
+      seed = await this.scanMax(kind, period, db);
+    }
+
+    const first = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const data = snap.exists ? snap.data() : {};
+      const base = data.period === period ? Number(data.seq) || 0 : 0;
+      const start = Math.max(base, seed) + 1;
+      tx.set(ref, { period, seq: start + count - 1, prefix: this.getConfig(kind).prefix, updatedAt: new Date().toISOString() });
+      return start;
+    });
+    return { period, first };
+  }
+
+  /**
+   * Allocate one ID from the Firestore counter
+   */
+  async allocateRemote(kind, db) {
+    const { period, first } = await this.increment(kind, db, 1);
+    return this.format(kind, period, first);
+  }
+
+  /**
+   * Keep a block of IDs reserved on this device for offline use
+   */
+  topUpReservation(kind, db) {
+    const reservations = this.readJSON(this.reservationKey);
+    const r = reservations[kind];
+    if (r && r.period === this.getPeriod(kind) && r.next <= r.end) return;
+
+    const size = (window.AppConfig && window.AppConfig.ids && window.AppConfig.ids.offlineReserve) || this.defaults.offlineReserve;
+    this.increment(kind, db, size).then(({ period, first }) => {
+      const latest = this.readJSON(this.reservationKey);
+      latest[kind] = { period, next: first, end: first + size - 1, reservedAt: new Date().toISOString() };
+      localStorage.setItem(this.reservationKey, JSON.stringify(latest));
+    }).catch((error) => {
+      console.warn('[IdAllocator] Failed to reserve offline IDs:', error);
+    });
+  }
+
+  /**
+   * Use an ID reserved while online
+   */
+  async takeReserved(kind) {
+    return this.withLock(() => {
+      const reservations = this.readJSON(this.reservationKey);
+      const r = reservations[kind];
+      if (!r || r.period !== this.getPeriod(kind) || r.next > r.end) {
+        throw new Error('No reserved IDs left for offline use. Reconnect to create more.');
+      }
+      const id = this.format(kind, r.period, r.next);
+      r.next += 1;
+      localStorage.setItem(this.reservationKey, JSON.stringify(reservations));
+      return id;
+    });
+  }
+
+  /**
+   * Allocate from a local counter (localStorage shim, single device)
+   */
+  async allocateLocal(kind, db) {
+    return this.withLock(async () => {
+      const period = this.getPeriod(kind);
+      const counters = this.readJSON(this.localCounterKey);
+      const c = counters[kind];
+      const base = c && c.period === period ? Number(c.seq) || 0 : 0;
+      const seq = Math.max(base, await this.scanMax(kind, period, db)) + 1;
+      counters[kind] = { period, seq };
+      localStorage.setItem(this.localCounterKey, JSON.stringify(counters));
+      return this.format(kind, period, seq);
+    });
+  }
+
+  /**
+   * Create a document only if its ID is unused
+   */
+  async createDocument(collection, id, data) {
+    const db = window.firebaseServices && window.firebaseServices.db;
+    if (!db) throw new Error('Database unavailable');
+    const ref = db.collection(collection).doc(id);
+    const duplicate = () => {
+      const error = new Error(`${id} already exists`);
+      error.code = 'id-exists';
+      return error;
+    };
+
+    if (typeof db.runTransaction === 'function' && navigator.onLine !== false) {
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists) throw duplicate();
+        tx.set(ref, data);
+      });
+      return;
+    }
+
+    const existing = await ref.get();
+    if (existing.exists) throw duplicate();
+    await ref.set(data);
+  }
+
+  /**
+   * Allocate an ID and create the document with it, retrying on collision
+   * @param {string} kind - 'order' or 'invoice'
+   * @param {Function} buildData - Receives the new ID and returns the document data
+   */
+  async createWithId(kind, buildData) {
+    const collection = this.getConfig(kind).collection;
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const id = await this.next(kind);
+      try {
+        await this.createDocument(collection, id, buildData(id));
+        return id;
+      } catch (error) {
+        if (error.code !== 'id-exists' || attempt === this.maxAttempts) throw error;
+        console.warn(`[IdAllocator] ${error.message}, allocating another ID`);
+      }
+    }
+  }
+
+  /**
+   * Whether a Firestore error means the client is offline
+   */
+  isOfflineError(error) {
+    return navigator.onLine === false || (error && (error.code === 'unavailable' || error.code === 'deadline-exceeded'));
+  }
+
+  /**
+   * Run a function while holding the allocator lock across tabs
+   */
+  async withLock(fn) {
+    if (navigator.locks && typeof navigator.locks.request === 'function') {
+      return navigator.locks.request(this.lockName, () => fn());
+    }
+    return fn();
+  }
+
+  /**
+   * Read a JSON object from localStorage
+   */
+  readJSON(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+// Global ID allocator instance
+window.IdAllocator = new IdAllocator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IdAllocator;
+}
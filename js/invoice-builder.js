@@ -0,0 +1,154 @@
+/**
+ * Invoice Builder - Itemized invoice lines, discounts, tax and totals
+ * Builds the invoice structure stored in Firestore and mapped into Zoho Books
+ */
+
+class InvoiceBuilder {
+  constructor() {
+    this.discountTypes = ['percent', 'amount'];
+  }
+
+  /**
+   * Normalize a discount value ({ type, value })
+   */
+  normalizeDiscount(discount) {
+    const d = discount || {};
+    const type = this.discountTypes.includes(d.type) ? d.type : 'percent';
+    const value = Math.max(0, Number(d.value) || 0);
+    return { type, value: type === 'percent' ? Math.min(100, value) : value };
+  }
+
+  /**
+   * Discount amount for a gross value
+   */
+  discountAmount(gross, discount) {
+    const d = this.normalizeDiscount(discount);
+    const amount = d.type === 'percent' ? gross * d.value / 100 : d.value;
+    return this.round(Math.min(Math.max(gross, 0), amount));
+  }
+
+  /**
+   * Group priced jerseys into invoice lines by type, sleeve and shorts.
+   * Jerseys in the same group with different unit prices (size category) get their own line.
+   */
+  buildLines(quote) {
+    const groups = new Map();
+    for (const j of quote.jerseys || []) {
+      const jtype = j.jtype || 'Jersey';
+      const sleeve = j.sleeve || 'Short Sleeve';
+      const shorts = j.shorts === 'Yes';
+      const rate = j.price ? j.price.unit : 0;
+      const key = [jtype.toLowerCase(), sleeve, shorts, rate].join('|');
+      if (!groups.has(key)) {
+        groups.set(key, { jtype, sleeve, shorts, rate, quantity: 0, categories: [] });
+      }
+      const g = groups.get(key);
+      g.quantity += 1;
+      if (j.cat && !g.categories.includes(j.cat)) g.categories.push(j.cat);
+    }
+
+    return Array.from(groups.values()).map((g, i) => {
+      const parts = [this.titleCase(g.jtype), g.sleeve, g.shorts ? 'With shorts' : 'No shorts'];
+      if (quote.material) parts.unshift(quote.material);
+      const categories = g.categories.length ? ` (${g.categories.join(', ')})` : '';
+      return {
+        id: `L${i + 1}`,
+        description: parts.join(' · ') + categories,
+        jtype: g.jtype,
+        sleeve: g.sleeve,
+        shorts: g.shorts,
+        categories: g.categories,
+        quantity: g.quantity,
+        rate: g.rate,
+        discount: { type: 'percent', value: 0 }
+      };
+    });
+  }
+
+  /**
+   * Recalculate line amounts and invoice totals
+   */
+  computeTotals(invoice) {
+    const lines = (invoice.lines || []).map(line => {
+      const quantity = Number(line.quantity) || 0;
+      const rate = this.round(line.rate);
+      const gross = this.round(quantity * rate);
+      const discount = this.normalizeDiscount(line.discount);
+      const discountAmount = gross > 0 ? this.discountAmount(gross, discount) : 0;
+      return Object.assign({}, line, { quantity, rate, discount, gross, discountAmount, amount: this.round(gross - discountAmount) });
+    });
+
+    const subtotal = this.round(lines.reduce((sum, l) => sum + l.amount, 0));
+    const discount = this.normalizeDiscount(invoice.discount);
+    const discountTotal = subtotal > 0 ? this.discountAmount(subtotal, discount) : 0;
+    const taxable = this.round(subtotal - discountTotal);
+    const tax = Object.assign({ label: 'GST', rate: 0 }, invoice.tax);
+    tax.rate = Math.max(0, Number(tax.rate) || 0);
+    tax.amount = this.round(taxable * tax.rate / 100);
+
+    return Object.assign({}, invoice, {
+      lines,
+      discount,
+      subtotal,
+      discountTotal,
+      taxable,
+      tax,
+      total: this.round(taxable + tax.amount)
+    });
+  }
+
+  /**
+   * Create an itemized invoice from a pricing quote
+   */
+  create({ invoiceId, orderId, customerId, customerName, quote, tax, discount, lines, override }) {
+    const invoiceLines = (lines || this.buildLines(quote)).slice();
+    if (override) {
+      invoiceLines.push({
+        id: `L${invoiceLines.length + 1}`,
+        description: `Price adjustment: ${override.reason}`,
+        adjustment: true,
+        quantity: 1,
+        rate: this.round(override.amount - override.computedTotal),
+        discount: { type: 'percent', value: 0 }
+      });
+    }
+
+    const invoice = this.computeTotals({
+      invoiceId,
+      orderId,
+      customerId: customerId || null,
+      customerName: customerName || '',
+      currency: quote.currency,
+      computedTotal: quote.total,
+      lines: invoiceLines,
+      discount: discount || { type: 'percent', value: 0 },
+      tax: tax || {},
+      issuedAt: new Date().toISOString(),
+      status: 'Unpaid'
+    });
+    if (override) invoice.priceOverride = override;
+    return invoice;
+  }
+
+  /**
+   * Capitalize each word
+   */
+  titleCase(text) {
+    return String(text || '').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(Number(amount || 0) * 100) / 100;
+  }
+}
+
+// Global invoice builder instance
+window.InvoiceBuilder = new InvoiceBuilder();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InvoiceBuilder;
+}
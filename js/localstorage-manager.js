@@ -1,5 +1,73 @@
 (function(){
   'use strict';
+
+  // Firestore semantics the shim needs, kept free of storage so they can be tested on any page
+  function generateId(){
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 20; i++) id += chars.charAt(Math.floor(Math.random() * chars.length));
+    return id;
+  }
+  function isPlainObject(value){
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+  // set(data, { merge: true }) merges nested maps
+  function deepMerge(target, source){
+    const out = Object.assign({}, target);
+    Object.keys(source || {}).forEach(key => {
+      out[key] = isPlainObject(source[key]) && isPlainObject(out[key]) ? deepMerge(out[key], source[key]) : source[key];
+    });
+    return out;
+  }
+  // update() takes dotted field paths, e.g. { 'clientLink.revoked': true }
+  function applyUpdate(current, patch){
+    const out = JSON.parse(JSON.stringify(current || {}));
+    Object.keys(patch || {}).forEach(path => {
+      const keys = path.split('.');
+      let node = out;
+      keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+      });
+      node[keys[keys.length - 1]] = patch[path];
+    });
+    return out;
+  }
+  function fieldValue(data, path){
+    return String(path).split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+  }
+  // Like Firestore, a missing field never matches a comparison and is left out of orderBy
+  const operators = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== undefined && a !== b,
+    '<': (a, b) => a !== undefined && a < b,
+    '<=': (a, b) => a !== undefined && a <= b,
+    '>': (a, b) => a !== undefined && a > b,
+    '>=': (a, b) => a !== undefined && a >= b,
+    'in': (a, b) => (b || []).includes(a),
+    'not-in': (a, b) => a !== undefined && !(b || []).includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+    'array-contains-any': (a, b) => Array.isArray(a) && (b || []).some(v => a.includes(v))
+  };
+  // Apply a query's filters, orderBy and limit to a collection's docs
+  function runQuery(docs, query){
+    let list = (docs || []).filter(Boolean);
+    (query.filters || []).forEach(f => {
+      list = list.filter(d => operators[f.op](fieldValue(d, f.field), f.value));
+    });
+    if (query.order) {
+      const { field, dir } = query.order;
+      list = list.filter(d => fieldValue(d, field) !== undefined).sort((a, b) => {
+        const av = fieldValue(a, field); const bv = fieldValue(b, field);
+        if (av === bv) return 0;
+        return (av > bv ? 1 : -1) * (dir === 'desc' ? -1 : 1);
+      });
+    }
+    return query.limit ? list.slice(0, query.limit) : list;
+  }
+
+  const LocalFirestore = { generateId, deepMerge, applyUpdate, fieldValue, operators, runQuery };
+  window.LocalFirestore = LocalFirestore;
   
   // Wait for Firebase to be properly initialized
   if (window.firebaseServices && window.firebaseServices.db) {
@@ -17,17 +85,12 @@
       return;
     }
     
-    console.log('[LocalStorageManager] Firebase not available, creating localStorage shim');
+    console.log('[LocalStorageManager] Firebase not available, creating offline database shim');
 
-  function ensureCollection(name){
-    if (!localStorage.getItem(name)) localStorage.setItem(name, JSON.stringify([]));
-  }
+  // Collections live in AppStorage (IndexedDB, one object store per collection)
+  const storage = window.AppStorage;
   function readCollection(name){
-    ensureCollection(name);
-    try { return JSON.parse(localStorage.getItem(name) || '[]'); } catch(e){ return []; }
-  }
-  function writeCollection(name, items){
-    localStorage.setItem(name, JSON.stringify(items || []));
+    return storage.all(name);
   }
 
   // Enhanced caching functions
@@ -49,50 +112,145 @@
     }
   }
 
+  // Listeners per collection; each one re-reads its doc or query and only fires when the result changed
+  const listeners = new Map();
+
+  function notify(name){
+    (listeners.get(name) || []).forEach(fn => {
+      try { fn(); } catch (e) { console.warn('[LocalStorageManager] Snapshot listener failed:', e); }
+    });
+  }
+  function listen(name, emit){
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(emit);
+    setTimeout(emit, 0); // first snapshot is delivered asynchronously, as in Firestore
+    return function unsubscribe(){ listeners.get(name).delete(emit); };
+  }
+  function watch(name, read, toSnapshot, next, onError){
+    let last;
+    let latest = 0;
+    return listen(name, async () => {
+      const run = ++latest;
+      try {
+        const result = await read();
+        if (run !== latest) return; // a newer read is on its way
+        const json = JSON.stringify(result);
+        if (json === last) return;
+        last = json;
+        next(toSnapshot(result));
+      } catch (error) {
+        if (onError) onError(error);
+        else console.warn(`[LocalStorageManager] Snapshot for ${name} failed:`, error);
+      }
+    });
+  }
+
+  // Other tabs announce their writes through AppStorage
+  storage.onChange(name => {
+    invalidateCache(name);
+    if (listeners.has(name)) notify(name);
+  });
+
+  function readDoc(name, id){
+    return storage.get(name, id);
+  }
+  // Write operation for a doc's new contents; null deletes it
+  function docWrite(name, id, data){
+    return data === null
+      ? { store: name, type: 'delete', key: id }
+      : { store: name, type: 'put', value: Object.assign({}, data, { id }) };
+  }
+  // Contents of a doc after a set, update or delete (null)
+  function resolveWrite(path, current, op, data, opts){
+    if (op === 'delete') return null;
+    if (op === 'update') {
+      if (!current) {
+        const error = new Error(`No document to update: ${path}`);
+        error.code = 'not-found';
+        throw error;
+      }
+      return LocalFirestore.applyUpdate(current, data);
+    }
+    return opts && opts.merge && current ? LocalFirestore.deepMerge(current, data) : Object.assign({}, data);
+  }
+
+  function docSnapshot(name, id, data){
+    return {
+      id,
+      ref: docRef(name, id),
+      exists: !!data,
+      data: () => (data ? Object.assign({}, data) : undefined)
+    };
+  }
+  function querySnapshot(name, docs){
+    const snaps = docs.map(d => docSnapshot(name, d.id, d));
+    return { docs: snaps, size: snaps.length, empty: snaps.length === 0, forEach: fn => snaps.forEach(fn) };
+  }
+
+  function docRef(name, id){
+    const write = async (op, data, opts) => {
+      await storage.batch([docWrite(name, id, resolveWrite(`${name}/${id}`, await readDoc(name, id), op, data, opts))]);
+      invalidateCache(name);
+      notify(name);
+    };
+    return {
+      id,
+      path: `${name}/${id}`,
+      get: async () => docSnapshot(name, id, await readDoc(name, id)),
+      set: (data, opts) => write('set', data, opts),
+      update: patch => write('update', patch),
+      delete: () => write('delete'),
+      onSnapshot: (next, onError) => watch(name, () => readDoc(name, id), data => docSnapshot(name, id, data), next, onError)
+    };
+  }
+
+  function query(name, state){
+    const run = async () => LocalFirestore.runQuery(await readCollection(name), state);
+    return {
+      where: function(field, op, value){
+        if (!LocalFirestore.operators[op]) throw new Error(`Unsupported query operator: ${op}`);
+        return query(name, Object.assign({}, state, { filters: state.filters.concat({ field, op, value }) }));
+      },
+      orderBy: (field, dir) => query(name, Object.assign({}, state, { order: { field, dir: dir || 'asc' } })),
+      limit: n => query(name, Object.assign({}, state, { limit: n })),
+      get: async () => querySnapshot(name, await run()),
+      onSnapshot: (next, onError) => watch(name, run, docs => querySnapshot(name, docs), next, onError)
+    };
+  }
+
   const db = {
     collection: function(name){
-      ensureCollection(name);
+      return Object.assign(query(name, { filters: [], order: null, limit: null }), {
+        id: name,
+        doc: id => docRef(name, id || LocalFirestore.generateId()),
+        add: async function(data){
+          const ref = docRef(name, LocalFirestore.generateId());
+          await ref.set(data);
+          return ref;
+        }
+      });
+    },
+    // Writes are checked first and applied together on commit
+    batch: function(){
+      const ops = [];
       return {
-        doc: function(id){
-          return {
-            get: async function(){
-              const list = readCollection(name);
-              const found = list.find(x => x && x.id === id);
-              return { exists: !!found, data: () => (found || {}) };
-            },
-            set: async function(data, opts){
-              const list = readCollection(name);
-              const idx = list.findIndex(x => x && x.id === id);
-              if (idx >= 0) list[idx] = Object.assign({ id }, data);
-              else list.push(Object.assign({ id }, data));
-              writeCollection(name, list);
-            }
-          };
-        },
-        orderBy: function(field, dir){
-          const api = {
-            limit: function(){ return api; },
-            onSnapshot: function(next){
-              const list = readCollection(name);
-              const sorted = list.slice().sort((a,b)=>{
-                const av=a && a[field]; const bv=b && b[field];
-                if (dir === 'desc') return (bv>av?1:-1);
-                return (av>bv?1:-1);
-              });
-              next({ docs: sorted.map(d => ({ id: d.id, data: () => d })) });
-              return function unsubscribe(){};
-            },
-            get: async function(){
-              const list = readCollection(name);
-              const sorted = list.slice().sort((a,b)=>{
-                const av=a && a[field]; const bv=b && b[field];
-                if (dir === 'desc') return (bv>av?1:-1);
-                return (av>bv?1:-1);
-              });
-              return { docs: sorted.map(d => ({ id: d.id, data: () => d })) };
-            }
-          };
-          return api;
+        set(ref, data, opts){ ops.push({ ref, op: 'set', data, opts }); return this; },
+        update(ref, data){ ops.push({ ref, op: 'update', data }); return this; },
+        delete(ref){ ops.push({ ref, op: 'delete' }); return this; },
+        commit: async function(){
+          const staged = new Map(); // path -> contents, so later ops in the batch see earlier ones
+          const writes = [];
+          for (const o of ops) {
+            const [collection, id] = o.ref.path.split('/');
+            const current = staged.has(o.ref.path) ? staged.get(o.ref.path) : await readDoc(collection, id);
+            const data = resolveWrite(o.ref.path, current, o.op, o.data, o.opts);
+            staged.set(o.ref.path, data);
+            writes.push({ collection, write: docWrite(collection, id, data) });
+          }
+          await storage.batch(writes.map(w => w.write));
+          const collections = new Set(writes.map(w => w.collection));
+          collections.forEach(invalidateCache);
+          collections.forEach(notify);
         }
       };
     }
@@ -109,7 +267,7 @@
     window.FirebaseData.subscribe = function(opts){
       const key = opts.path || opts.key;
       
-      // Check if real Firebase is available (not localStorage shim)
+      // Check if real Firebase is available (not the offline shim)
       if (window.firebaseServices && window.firebaseServices.db && 
           typeof window.firebaseServices.db.collection === 'function') {
         try {
@@ -181,12 +339,12 @@
             });
           }
         } catch (e) {
-          console.log(`[FirebaseData] Real Firebase test failed, using localStorage shim for ${key}`);
+          console.log(`[FirebaseData] Real Firebase test failed, using offline shim for ${key}`);
         }
       }
       
-      // If we get here, use localStorage shim
-      console.log(`[FirebaseData] Using localStorage shim for ${key}`);
+      // If we get here, use the offline shim
+      console.log(`[FirebaseData] Using offline shim for ${key}`);
       
       // Show skeleton loader if available
       if (window.SkeletonLoader && opts.showSkeleton !== false) {
@@ -209,13 +367,13 @@
         }
       });
       
-      // Use localStorage shim
+      // Use the offline shim
       const coll = db.collection(key).orderBy(opts.orderBy || 'createdAt', opts.orderDir || 'desc');
       const limitApi = opts.limit ? coll.limit(opts.limit) : coll;
       return limitApi.onSnapshot(function(snap){
         const data = snap.docs.map(d => Object.assign({ id: d.id }, d.data()));
         
-        console.log(`[FirebaseData] LocalStorage shim data received for ${key}:`, data.length, 'items');
+        console.log(`[FirebaseData] Offline shim data received for ${key}:`, data.length, 'items');
         
         // Cache the data
         setCachedData(key, data, opts);
@@ -240,8 +398,8 @@
         return cachedData;
       }
       
-      // Load from localStorage
-      const list = readCollection(key);
+      // Load from the offline database
+      const list = await readCollection(key);
       
       // Cache the data
       setCachedData(key, list, options);
@@ -252,15 +410,14 @@
   if (!window.FirebaseData.save) {
     window.FirebaseData.save = async function(key, data){
       if (Array.isArray(data)) { 
-        writeCollection(key, data); 
+        await storage.replace(key, data.filter(d => d && d.id)); 
         invalidateCache(key);
+        notify(key);
         return true; 
       }
-      const list = readCollection(key);
-      const idx = list.findIndex(x => x && x.id === data.id);
-      if (idx >= 0) list[idx] = data; else list.push(data);
-      writeCollection(key, list);
+      await storage.put(key, data);
       invalidateCache(key);
+      notify(key);
       return true;
     };
   }
@@ -0,0 +1,199 @@
+/**
+ * Messaging - Templated client notifications by email, SMS and WhatsApp
+ * api/notify.js renders and sends the message from the stored order and logs it per order in messages/{id}; the page previews it
+ */
+
+class Messaging {
+  constructor() {
+    this.collection = 'messages';
+
+    this.CHANNELS = {
+      email: 'Email',
+      sms: 'SMS',
+      whatsapp: 'WhatsApp'
+    };
+
+    // accepted: the provider took the message; delivered: Twilio reported delivery. Sent is the status of older entries
+    this.STATUSES = {
+      queued: 'Sending',
+      accepted: 'Accepted',
+      delivered: 'Delivered',
+      sent: 'Sent',
+      failed: 'Failed'
+    };
+
+    // Preview copy of the server's templates (api/_lib/messages.js); {{variables}} come from orderVariables(). The subject is only used for email.
+    this.templates = {
+      order_received: {
+        label: 'Order received',
+        subject: 'Order {{orderId}} received',
+        body: 'Hi {{customerName}}, we have received your order {{orderId}} for {{quantity}} jerseys. We will keep you updated.\n\n{{companyName}}'
+      },
+      roster_request: {
+        label: 'Player details request',
+        subject: 'Player details needed for order {{orderId}}',
+        body: 'Hi {{customerName}}, please add player names, numbers and sizes for order {{orderId}} here: {{clientLink}}\n\n{{companyName}}'
+      },
+      status_update: {
+        label: 'Status update',
+        subject: 'Order {{orderId}} is now {{status}}',
+        body: 'Hi {{customerName}}, your order {{orderId}} is now {{status}}.\n\n{{companyName}}'
+      },
+      payment_reminder: {
+        label: 'Payment reminder',
+        subject: 'Payment reminder for order {{orderId}}',
+        body: 'Hi {{customerName}}, {{balance}} is outstanding on invoice {{invoiceId}} for order {{orderId}}.\n\n{{companyName}}'
+      }
+    };
+  }
+
+  /**
+   * Messaging settings merged with defaults
+   */
+  getConfig() {
+    const config = (window.AppConfig && window.AppConfig.messaging) || {};
+    return {
+      endpoint: config.endpoint || '/api/notify',
+      defaultChannel: this.CHANNELS[config.defaultChannel] ? config.defaultChannel : 'email'
+    };
+  }
+
+  /**
+   * Template by ID
+   */
+  getTemplate(id) {
+    return this.templates[id] ? { id, ...this.templates[id] } : null;
+  }
+
+  /**
+   * Template variables for an order and its invoice
+   */
+  orderVariables(order, invoice) {
+    const workflow = window.OrderWorkflow;
+    const links = window.ClientLinks;
+    const money = amount => (window.PricingEngine ? window.PricingEngine.format(amount, invoice && invoice.currency) : String(amount));
+    const linkActive = links && links.getState(order) === 'active';
+    return {
+      orderId: order.id || '',
+      customerName: order.customerName || '',
+      quantity: order.quantity || '',
+      material: order.material || '',
+      status: workflow ? workflow.getLabel(workflow.getStatus(order)) : (order.status || ''),
+      clientLink: linkActive ? links.buildUrl(order.id, order.clientLink.token) : '',
+      invoiceId: invoice ? invoice.invoiceId || invoice.id : '',
+      total: invoice ? money(invoice.total) : '',
+      balance: invoice && window.PaymentLedger ? money(window.PaymentLedger.getBalance(invoice)) : '',
+      companyName: (window.AppConfig && window.AppConfig.app.name) || ''
+    };
+  }
+
+  /**
+   * Fill {{variables}} in a template string; unknown variables render empty
+   */
+  render(text, variables) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+      const value = variables[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Variables a template uses that have no value for this order (e.g. no active client link)
+   */
+  missingVariables(template, variables) {
+    const used = `${template.subject || ''} ${template.body || ''}`.match(/\{\{\s*\w+\s*\}\}/g) || [];
+    return Array.from(new Set(used.map(v => v.replace(/[{}\s]/g, '')))).filter(key => !variables[key] && variables[key] !== 0);
+  }
+
+  /**
+   * Order contact for a channel: the email for email, the mobile for SMS and WhatsApp
+   */
+  recipientFor(order, channel) {
+    return String((channel === 'email' ? order.email : order.mobile) || '').trim();
+  }
+
+  /**
+   * Preview of the message the server will send for an order
+   * @returns {{orderId: string, customerId: string|null, channel: string, to: string, templateId: string, subject: string, body: string}}
+   */
+  compose(order, invoice, templateId, channel) {
+    const template = this.getTemplate(templateId);
+    if (!template) throw new Error('Unknown message template');
+    const variables = this.orderVariables(order, invoice);
+    return {
+      orderId: order.id,
+      customerId: order.customerId || null,
+      channel,
+      to: this.recipientFor(order, channel),
+      templateId,
+      subject: channel === 'email' ? this.render(template.subject, variables) : '',
+      body: this.render(template.body, variables)
+    };
+  }
+
+  /**
+   * Check a message preview before sending (the server checks the stored order again)
+   */
+  validate(message) {
+    if (!this.CHANNELS[message.channel]) throw new Error('Choose a channel');
+    if (!this.getTemplate(message.templateId)) throw new Error('Choose a template');
+    const to = String(message.to || '').trim();
+    if (!to) throw new Error(`No ${message.channel === 'email' ? 'email address' : 'mobile number'} for this order`);
+    if (message.channel === 'email' && !window.DataValidator.rules.email.test(to)) throw new Error('The order has an invalid email address');
+    if (message.channel !== 'email' && to.replace(/\D/g, '').length < 7) throw new Error('The order has an invalid mobile number');
+  }
+
+  /**
+   * Have the server send a message; it logs the message in messages/{id} and returns the entry
+   * Only the order, template and channel are sent. A failed send is returned, not thrown
+   * @returns {Promise<Object>} the logged message
+   */
+  async send(message) {
+    this.validate(message);
+    try {
+      const user = window.firebaseServices.auth && window.firebaseServices.auth.currentUser;
+      if (!user) throw new Error('Sign in again to send messages');
+      const response = await fetch(this.getConfig().endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await user.getIdToken()}` },
+        body: JSON.stringify({ orderId: message.orderId, templateId: message.templateId, channel: message.channel })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!data.status) return { ...message, status: 'failed', error: data.error || `Server responded ${response.status}` };
+      return { ...message, ...data };
+    } catch (error) {
+      return { ...message, status: 'failed', error: error.message || 'Network error' };
+    }
+  }
+
+  /**
+   * Messages sent for an order, newest first
+   */
+  async listForOrder(orderId) {
+    const snapshot = await window.firebaseServices.db.collection(this.collection).where('orderId', '==', orderId).get();
+    const messages = [];
+    snapshot.forEach(doc => messages.push({ id: doc.id, ...doc.data() }));
+    return messages.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Status badge colour
+   */
+  getStatusColor(status) {
+    switch (status) {
+      case 'delivered': return '#388E3C';
+      case 'accepted':
+      case 'sent': return '#1976D2';
+      case 'failed': return '#D32F2F';
+      default: return '#FFA000';
+    }
+  }
+}
+
+// Global messaging instance
+window.Messaging = new Messaging();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Messaging;
+}
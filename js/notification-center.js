@@ -0,0 +1,176 @@
+/**
+ * Notification Center - Real-time staff notifications from Firestore with per-user read state
+ * Notifications live in notifications/{id}; each user's read and cleared marks live in notificationReads/{uid} so they follow them across devices
+ * Storage goes through NotificationRepository (js/repositories.js)
+ */
+
+class NotificationCenter {
+  constructor() {
+    this.limit = 50; // newest notifications shown in the bell panel
+    this.maxReadIds = 200; // individually read IDs kept after the last mark-all
+    this.state = this.emptyState();
+    this.items = [];
+    this.emit = null;
+  }
+
+  /**
+   * Read state for a user who has not read or cleared anything
+   */
+  emptyState() {
+    return { readBefore: '', clearedBefore: '', readIds: [] };
+  }
+
+  /**
+   * Whether a notification is read: marked individually, or at or before the last mark-all
+   */
+  isRead(notification, state) {
+    return (!!state.readBefore && String(notification.at || '') <= state.readBefore) || (state.readIds || []).includes(notification.id);
+  }
+
+  /**
+   * Notifications newer than the user's last clear
+   */
+  visible(items, state) {
+    return items.filter(n => !state.clearedBefore || String(n.at || '') > state.clearedBefore);
+  }
+
+  /**
+   * Unread notifications still in the panel
+   */
+  unreadCount(items, state) {
+    return this.visible(items, state).filter(n => !this.isRead(n, state)).length;
+  }
+
+  /**
+   * Timestamp of the newest notification
+   */
+  latest(items) {
+    return items.reduce((max, n) => (String(n.at || '') > max ? String(n.at) : max), '');
+  }
+
+  /**
+   * State with one notification marked read
+   */
+  withRead(state, id) {
+    const readIds = (state.readIds || []).filter(x => x !== id).concat(id);
+    return { ...state, readIds: readIds.slice(-this.maxReadIds) };
+  }
+
+  /**
+   * State with everything up to the newest notification marked read
+   * Timestamps come from the notifications rather than this device's clock
+   */
+  withAllRead(state, items) {
+    const latest = this.latest(items);
+    const readBefore = latest > (state.readBefore || '') ? latest : state.readBefore;
+    const readIds = (state.readIds || []).filter(id => items.some(n => n.id === id && String(n.at || '') > readBefore));
+    return { ...state, readBefore, readIds };
+  }
+
+  /**
+   * State with everything up to the newest notification cleared from the panel
+   */
+  withCleared(state, items) {
+    const next = this.withAllRead(state, items);
+    return { ...next, clearedBefore: next.readBefore };
+  }
+
+  /**
+   * Page a notification opens, if it is about an order
+   */
+  linkFor(notification) {
+    return notification.orderId ? `orders.html?order=${encodeURIComponent(notification.orderId)}` : null;
+  }
+
+  /**
+   * Key of the signed-in user's read state: Firebase uid, else the session
+   */
+  getUserKey() {
+    const auth = window.firebaseServices && window.firebaseServices.auth;
+    if (auth && auth.currentUser) return auth.currentUser.uid;
+    try {
+      const session = JSON.parse(localStorage.getItem('userSession') || 'null');
+      return session ? session.uid || session.username || null : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Follow the newest notifications and the user's read state; onChange(items, state) runs on every change
+   * @returns {Function} unsubscribe
+   */
+  subscribe(onChange) {
+    const repository = window.NotificationRepository;
+    let stopState = () => {};
+    this.emit = () => onChange(this.items, this.state);
+
+    const stopItems = repository.subscribe(this.limit, items => {
+      this.items = items;
+      this.emit();
+    }, error => console.warn('Notifications unavailable:', error));
+
+    const watchState = () => {
+      stopState();
+      stopState = () => {};
+      const key = this.getUserKey();
+      this.state = this.emptyState();
+      if (!key) return this.emit();
+      stopState = repository.watchReadState(key, data => {
+        this.state = { ...this.emptyState(), ...(data || {}) };
+        this.emit();
+      }, error => console.warn('Notification read state unavailable:', error));
+    };
+
+    const auth = window.firebaseServices && window.firebaseServices.auth;
+    const stopAuth = auth && typeof auth.onAuthStateChanged === 'function' ? auth.onAuthStateChanged(watchState) : (watchState(), () => {});
+    return () => { stopItems(); stopState(); stopAuth(); this.emit = null; };
+  }
+
+  /**
+   * Store the user's read state; other devices pick it up through their subscription
+   */
+  async saveState(state) {
+    const key = this.getUserKey();
+    this.state = state;
+    if (this.emit) this.emit();
+    if (!key) return;
+    await window.NotificationRepository.saveReadState(key, { ...state, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Mark one notification read
+   */
+  markRead(id) {
+    return this.saveState(this.withRead(this.state, id));
+  }
+
+  /**
+   * Mark every notification read
+   */
+  markAllRead() {
+    return this.saveState(this.withAllRead(this.state, this.items));
+  }
+
+  /**
+   * Clear every notification from this user's panel (other users keep theirs)
+   */
+  clear() {
+    return this.saveState(this.withCleared(this.state, this.items));
+  }
+
+  /**
+   * Post a staff notification
+   */
+  add({ title, message, type = 'info', orderId = null }) {
+    return window.NotificationRepository.add({ title, message, type, orderId });
+  }
+}
+
+// Global notification center instance
+window.NotificationCenter = new NotificationCenter();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotificationCenter;
+}
@@ -0,0 +1,134 @@
+/**
+ * Order Merge - Three-way merge of concurrent order edits
+ * Compares the version an editor started from (base) with their edit (mine) and the version saved since (theirs):
+ * fields only one side changed merge on their own, fields both changed differently are conflicts the user picks.
+ */
+
+class OrderMerge {
+  /**
+   * Comparable form of a value: empty values match each other, numbers match their form strings, object keys are sorted
+   */
+  normalize(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(v => this.normalize(v));
+    if (typeof value === 'object') {
+      return Object.keys(value).sort().reduce((out, key) => ({ ...out, [key]: this.normalize(value[key]) }), {});
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * Whether two field values are the same once normalized
+   */
+  same(a, b) {
+    return JSON.stringify(this.normalize(a)) === JSON.stringify(this.normalize(b));
+  }
+
+  /**
+   * Merge mine and theirs over base for the given fields
+   * @param {Object} base - the order the edit started from
+   * @param {Object} mine - the edited fields
+   * @param {Object} theirs - the order as saved now
+   * @param {Array<string>} [fields] - fields to merge (default: every field in mine)
+   * @returns {{merged: Object, conflicts: Array<{field: string, base: *, mine: *, theirs: *}>}}
+   */
+  merge(base, mine, theirs, fields = Object.keys(mine || {})) {
+    const merged = {};
+    const conflicts = [];
+    const from = base || {};
+    const current = theirs || {};
+    fields.forEach(field => {
+      const mineChanged = !this.same(from[field], mine[field]);
+      const theirsChanged = !this.same(from[field], current[field]);
+      if (mineChanged && theirsChanged && !this.same(mine[field], current[field])) {
+        conflicts.push({ field, base: from[field], mine: mine[field], theirs: current[field] });
+      }
+      merged[field] = mineChanged ? mine[field] : current[field];
+    });
+    return { merged, conflicts };
+  }
+
+  /**
+   * Merged fields with the user's pick ('mine' or 'theirs') for each conflict
+   */
+  resolve({ merged, conflicts }, choices) {
+    const resolved = { ...merged };
+    conflicts.forEach(c => {
+      resolved[c.field] = (choices || {})[c.field] === 'theirs' ? c.theirs : c.mine;
+    });
+    return resolved;
+  }
+
+  /**
+   * Readable value for the dialog
+   */
+  format(value) {
+    if (value === undefined || value === null || value === '') return '(empty)';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') {
+      return Object.keys(value).sort().map(key => `${key}: ${Array.isArray(value[key]) ? value[key].join('/') : this.format(value[key])}`).join(', ');
+    }
+    return String(value);
+  }
+
+  /**
+   * Show the conflicting fields side by side and let the user pick a value for each
+   * @param {Array<Object>} conflicts - from merge()
+   * @param {{title?: string, message?: string, labels?: Object, format?: Function, mineLabel?: string, theirsLabel?: string, saveLabel?: string}} options
+   * @returns {Promise<Object|null>} field -> 'mine' | 'theirs', or null if cancelled
+   */
+  choose(conflicts, options = {}) {
+    const escape = value => window.DataValidator.sanitizeHTML(String(value));
+    const format = options.format || (value => this.format(value));
+    const label = field => (options.labels && options.labels[field]) || field;
+    const mineLabel = options.mineLabel || 'Your edit';
+    const theirsLabel = options.theirsLabel || 'Saved version';
+
+    return new Promise(resolve => {
+      const backdrop = document.createElement('div');
+      backdrop.className = 'app-modal-backdrop open';
+      backdrop.innerHTML = `
+        <div class="app-modal merge-modal" role="dialog" aria-modal="true" aria-labelledby="mergeDialogTitle">
+          <div class="app-modal-header" id="mergeDialogTitle">${escape(options.title || 'This order was changed by someone else')}</div>
+          <div class="app-modal-body">
+            <p class="merge-message">${escape(options.message || 'Choose which value to keep for each field that was changed on both sides.')}</p>
+            <table class="merge-table">
+              <thead><tr><th>Field</th><th>${escape(mineLabel)}</th><th>${escape(theirsLabel)}</th></tr></thead>
+              <tbody>
+                ${conflicts.map((c, i) => `
+                  <tr>
+                    <td>${escape(label(c.field))}<div class="merge-base">Was: ${escape(format(c.base, c.field))}</div></td>
+                    <td><label><input type="radio" name="merge_${i}" value="mine" checked /> ${escape(format(c.mine, c.field))}</label></td>
+                    <td><label><input type="radio" name="merge_${i}" value="theirs" /> ${escape(format(c.theirs, c.field))}</label></td>
+                  </tr>`).join('')}
+              </tbody>
+            </table>
+          </div>
+          <div class="app-modal-actions">
+            <button type="button" class="btn-secondary" data-merge="cancel">Cancel</button>
+            <button type="button" class="btn-primary" data-merge="save">${escape(options.saveLabel || 'Save merged order')}</button>
+          </div>
+        </div>`;
+
+      const close = value => { backdrop.remove(); resolve(value); };
+      backdrop.querySelector('[data-merge="cancel"]').addEventListener('click', () => close(null));
+      backdrop.querySelector('[data-merge="save"]').addEventListener('click', () => {
+        const choices = {};
+        conflicts.forEach((c, i) => {
+          choices[c.field] = backdrop.querySelector(`input[name="merge_${i}"]:checked`).value;
+        });
+        close(choices);
+      });
+      backdrop.addEventListener('click', e => { if (e.target === backdrop) close(null); });
+      document.body.appendChild(backdrop);
+    });
+  }
+}
+
+// Global order merge instance
+window.OrderMerge = new OrderMerge();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderMerge;
+}
@@ -0,0 +1,200 @@
+/**
+ * Order Workflow - Production-stage lifecycle for jersey orders
+ * Single source of truth for order statuses, allowed transitions and labels
+ */
+
+class OrderWorkflow {
+  constructor() {
+    this.STATUSES = {
+      DRAFT: 'draft',
+      AWAITING_ROSTER: 'awaiting_roster',
+      ROSTER_RECEIVED: 'roster_received',
+      IN_DESIGN: 'in_design',
+      IN_PRINT: 'in_print',
+      READY: 'ready',
+      DELIVERED: 'delivered',
+      CANCELLED: 'cancelled'
+    };
+
+    // Ordered list used for filters and progress display
+    this.order = [
+      'draft',
+      'awaiting_roster',
+      'roster_received',
+      'in_design',
+      'in_print',
+      'ready',
+      'delivered',
+      'cancelled'
+    ];
+
+    this.labels = {
+      draft: 'Draft',
+      awaiting_roster: 'Awaiting roster',
+      roster_received: 'Roster received',
+      in_design: 'In design',
+      in_print: 'In print',
+      ready: 'Ready',
+      delivered: 'Delivered',
+      cancelled: 'Cancelled'
+    };
+
+    this.colors = {
+      draft: '#757575',
+      awaiting_roster: '#FFA000',
+      roster_received: '#1976D2',
+      in_design: '#7B1FA2',
+      in_print: '#E64A19',
+      ready: '#388E3C',
+      delivered: '#2E7D32',
+      cancelled: '#D32F2F'
+    };
+
+    this.transitions = {
+      draft: ['awaiting_roster', 'cancelled'],
+      awaiting_roster: ['roster_received', 'draft', 'cancelled'],
+      roster_received: ['in_design', 'awaiting_roster', 'cancelled'],
+      in_design: ['in_print', 'roster_received', 'cancelled'],
+      in_print: ['ready', 'cancelled'],
+      ready: ['delivered', 'in_print'],
+      delivered: [],
+      cancelled: ['draft']
+    };
+
+    // Legacy values written before the workflow existed
+    this.legacyMap = {
+      completed: 'roster_received',
+      pending: 'awaiting_roster'
+    };
+  }
+
+  /**
+   * Resolve the workflow status of an order, mapping legacy values
+   */
+  getStatus(order) {
+    if (!order) return this.STATUSES.DRAFT;
+    const raw = String(order.status || '').toLowerCase();
+    if (this.labels[raw]) return raw;
+    if (this.legacyMap[raw]) return this.legacyMap[raw];
+
+    // Orders created before statuses were stored
+    const hasRoster = (Array.isArray(order.jerseys) && order.jerseys.length > 0) || !!(order.jtype || order.jname || order.jnum);
+    if (hasRoster || order.submittedAt) return this.STATUSES.ROSTER_RECEIVED;
+    return this.STATUSES.AWAITING_ROSTER;
+  }
+
+  /**
+   * Human readable label for a status
+   */
+  getLabel(status) {
+    return this.labels[status] || this.labels[this.legacyMap[status]] || 'Unknown';
+  }
+
+  /**
+   * Badge colour for a status
+   */
+  getColor(status) {
+    return this.colors[status] || '#757575';
+  }
+
+  /**
+   * Statuses reachable from the given status
+   */
+  getNextStatuses(status) {
+    return (this.transitions[status] || []).slice();
+  }
+
+  /**
+   * Check whether a transition is allowed
+   */
+  canTransition(from, to) {
+    return this.getNextStatuses(from).includes(to);
+  }
+
+  /**
+   * Whether the client has submitted a roster for this order
+   */
+  hasRoster(order) {
+    if (order && order.submittedAt) return true;
+    return ['roster_received', 'in_design', 'in_print', 'ready', 'delivered'].includes(this.getStatus(order));
+  }
+
+  /**
+   * Whether the order is still being worked on (not delivered or cancelled)
+   */
+  isOpen(order) {
+    const status = this.getStatus(order);
+    return status !== this.STATUSES.DELIVERED && status !== this.STATUSES.CANCELLED;
+  }
+
+  /**
+   * Whether the roster is locked for production (clients can no longer request changes)
+   */
+  isRosterLocked(order) {
+    return ['in_print', 'ready', 'delivered', 'cancelled'].includes(this.getStatus(order));
+  }
+
+  /**
+   * Build the fields to persist for a transition.
+   * Throws if the transition is not allowed.
+   */
+  transition(order, to, meta = {}) {
+    const from = this.getStatus(order);
+    if (!this.labels[to]) {
+      throw new Error(`Unknown order status: ${to}`);
+    }
+    if (!this.canTransition(from, to)) {
+      throw new Error(`Cannot move order from ${this.getLabel(from)} to ${this.getLabel(to)}`);
+    }
+
+    const at = meta.at || new Date().toISOString();
+    const entry = { from, to, at };
+    if (meta.by) entry.by = meta.by;
+    if (meta.note) entry.note = meta.note;
+
+    return {
+      status: to,
+      statusHistory: (Array.isArray(order && order.statusHistory) ? order.statusHistory : []).concat([entry]),
+      statusTimestamps: Object.assign({}, order && order.statusTimestamps, { [to]: at }),
+      statusUpdatedAt: at
+    };
+  }
+
+  /**
+   * Fields for a brand new order
+   */
+  initial(meta = {}) {
+    const at = meta.at || new Date().toISOString();
+    const entry = { from: null, to: this.STATUSES.DRAFT, at };
+    if (meta.by) entry.by = meta.by;
+    return {
+      status: this.STATUSES.DRAFT,
+      statusHistory: [entry],
+      statusTimestamps: { draft: at },
+      statusUpdatedAt: at
+    };
+  }
+
+  /**
+   * Options markup for status filter selects
+   */
+  renderOptions(selected) {
+    return this.order.map(s => `<option value="${s}"${s === selected ? ' selected' : ''}>${this.labels[s]}</option>`).join('');
+  }
+
+  /**
+   * Status badge markup
+   */
+  renderBadge(status) {
+    const color = this.getColor(status);
+    return `<span class="status-pill" style="border-color:${color};color:${color};">${this.getLabel(status)}</span>`;
+  }
+}
+
+// Global workflow instance
+window.OrderWorkflow = new OrderWorkflow();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderWorkflow;
+}
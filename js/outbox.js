@@ -0,0 +1,298 @@
+/**
+ * Outbox - Durable queue of API writes made offline, replayed in order by the page or the service worker
+ * Requests live in the jersey-oms-queue IndexedDB database so sw.js can replay them on background sync.
+ * Each one carries an Idempotency-Key; auth headers are added when it is sent, never stored with it.
+ */
+
+class Outbox {
+  constructor() {
+    this.dbName = 'jersey-oms-queue';
+    this.version = 2;
+    this.store = 'requests';
+    this.metaStore = 'meta';
+    this.syncTag = 'background-sync';
+    this.lockName = 'jersey-oms-outbox';
+    this.listeners = new Set();
+    this.replaying = null;
+    this.db = null;
+    this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('jersey-oms-outbox') : null;
+    if (this.channel) this.channel.onmessage = () => this.emit();
+  }
+
+  /**
+   * Open the queue database (version 1 only had the requests store)
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.dbName, this.version);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          const requests = db.objectStoreNames.contains(this.store)
+            ? req.transaction.objectStore(this.store)
+            : db.createObjectStore(this.store, { keyPath: 'id', autoIncrement: true });
+          if (!requests.indexNames.contains('idempotencyKey')) requests.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
+          if (!requests.indexNames.contains('status')) requests.createIndex('status', 'status');
+          if (!db.objectStoreNames.contains(this.metaStore)) db.createObjectStore(this.metaStore, { keyPath: 'key' });
+        };
+        req.onsuccess = () => {
+          req.result.onversionchange = () => { req.result.close(); this.db = null; };
+          resolve(req.result);
+        };
+        req.onerror = () => { this.db = null; reject(req.error); };
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run fn(store) in a transaction; resolves with the getter's value once it completes
+   */
+  async transaction(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([storeName], mode);
+      const getter = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(typeof getter === 'function' ? getter() : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Unique key the server can use to ignore a request it has already applied
+   */
+  generateKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    return `idem_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Queue record for a request; credentials are dropped because they may have expired by replay time
+   */
+  buildRecord({ url, method = 'POST', headers = {}, body = null, idempotencyKey }) {
+    const kept = {};
+    Object.keys(headers || {}).forEach(name => {
+      if (!/^(authorization|idempotency-key)$/i.test(name)) kept[name] = headers[name];
+    });
+    return {
+      idempotencyKey: idempotencyKey || this.generateKey(),
+      url,
+      method: String(method).toUpperCase(),
+      headers: kept,
+      body: body === undefined ? null : body,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether a failed response should be retried later rather than marked failed
+   */
+  isRetryable(status) {
+    return status === 401 || status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Queued and failed counts for a list of records
+   * @returns {{queued: number, failed: number}}
+   */
+  countsOf(records) {
+    return {
+      queued: records.filter(r => r.status === 'queued').length,
+      failed: records.filter(r => r.status === 'failed').length
+    };
+  }
+
+  /**
+   * Add a request to the outbox and ask the service worker to replay it when the connection returns
+   * A request already queued under the same idempotency key is kept as is.
+   * @returns {Promise<Object>} the queued record
+   */
+  async enqueue(request) {
+    const record = this.buildRecord(request);
+    const existing = await this.transaction(this.store, 'readonly', store => {
+      const req = store.index('idempotencyKey').get(record.idempotencyKey);
+      return () => req.result;
+    });
+    if (existing) return existing;
+    const id = await this.transaction(this.store, 'readwrite', store => {
+      const req = store.add(record);
+      return () => req.result;
+    });
+    this.changed();
+    this.requestSync();
+    return { ...record, id };
+  }
+
+  /**
+   * Every queued and failed request, oldest first
+   */
+  list() {
+    return this.transaction(this.store, 'readonly', store => {
+      const req = store.getAll();
+      return () => req.result.sort((a, b) => a.id - b.id);
+    });
+  }
+
+  /**
+   * Queued and failed counts
+   * @returns {Promise<{queued: number, failed: number}>}
+   */
+  async counts() {
+    return this.countsOf(await this.list());
+  }
+
+  /**
+   * Store a record's new state
+   */
+  save(record) {
+    return this.transaction(this.store, 'readwrite', store => { store.put(record); });
+  }
+
+  /**
+   * Remove a request from the outbox
+   */
+  async discard(id) {
+    await this.transaction(this.store, 'readwrite', store => { store.delete(id); });
+    this.changed();
+  }
+
+  /**
+   * Put failed requests (one, or all) back in the queue
+   */
+  async retry(id = null) {
+    const failed = (await this.list()).filter(r => r.status === 'failed' && (id === null || r.id === id));
+    for (const record of failed) await this.save({ ...record, status: 'queued', lastError: null });
+    if (failed.length) {
+      this.changed();
+      this.requestSync();
+    }
+    return failed.length;
+  }
+
+  /**
+   * Register the background sync tag; false where the browser or page has no support
+   */
+  async requestSync() {
+    try {
+      if (typeof navigator === 'undefined' || !navigator.serviceWorker || typeof SyncManager === 'undefined') return false;
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration || !registration.sync) return false;
+      await registration.sync.register(this.syncTag);
+      return true;
+    } catch (error) {
+      console.warn('[Outbox] Background sync unavailable:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send queued requests in order
+   * A network error or retryable status stops the run so later requests never overtake earlier ones;
+   * other error responses mark that request failed and the run continues.
+   * @param {{getHeaders: Function}} options - getHeaders() resolves to the auth headers to send
+   * @returns {Promise<{sent: number, failed: number, stopped: boolean}>}
+   */
+  replay({ getHeaders = async () => ({}) } = {}) {
+    const run = () => this.replayQueued(getHeaders);
+    if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+      return navigator.locks.request(this.lockName, run);
+    }
+    // No Web Locks: at least never run twice at once in this context
+    if (!this.replaying) this.replaying = run().finally(() => { this.replaying = null; });
+    return this.replaying;
+  }
+
+  /**
+   * Replay loop, run while holding the outbox lock
+   */
+  async replayQueued(getHeaders) {
+    const result = { sent: 0, failed: 0, stopped: false };
+    const queued = (await this.list()).filter(r => r.status === 'queued');
+    for (const record of queued) {
+      let response;
+      try {
+        response = await fetch(record.url, {
+          method: record.method,
+          headers: { ...record.headers, ...(await getHeaders()), 'Idempotency-Key': record.idempotencyKey },
+          body: record.body === null ? undefined : record.body
+        });
+      } catch (error) {
+        await this.save({ ...record, attempts: record.attempts + 1, lastError: error.message });
+        result.stopped = true;
+        break;
+      }
+      if (response.ok) {
+        await this.transaction(this.store, 'readwrite', store => { store.delete(record.id); });
+        result.sent += 1;
+      } else if (this.isRetryable(response.status)) {
+        await this.save({ ...record, attempts: record.attempts + 1, lastError: `HTTP ${response.status}` });
+        result.stopped = true;
+        break;
+      } else {
+        await this.save({ ...record, attempts: record.attempts + 1, status: 'failed', lastError: `HTTP ${response.status}` });
+        result.failed += 1;
+      }
+    }
+    if (queued.length) this.changed();
+    return result;
+  }
+
+  /**
+   * Remember the API token for replays from the service worker, which cannot read localStorage
+   */
+  setAuthToken(token) {
+    return this.transaction(this.metaStore, 'readwrite', store => {
+      if (token) store.put({ key: 'authToken', value: token });
+      else store.delete('authToken');
+    });
+  }
+
+  /**
+   * Auth headers from the remembered API token
+   */
+  async authHeaders() {
+    const record = await this.transaction(this.metaStore, 'readonly', store => {
+      const req = store.get('authToken');
+      return () => req.result;
+    });
+    return record ? { Authorization: `Bearer ${record.value}` } : {};
+  }
+
+  /**
+   * Run callback() whenever the outbox changes, here or in another tab or the service worker
+   * @returns {Function} unsubscribe
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Tell listeners here and elsewhere that the outbox changed
+   */
+  changed() {
+    if (this.channel) this.channel.postMessage({ type: 'changed' });
+    this.emit();
+  }
+
+  /**
+   * Run this context's listeners
+   */
+  emit() {
+    this.listeners.forEach(fn => {
+      try { fn(); } catch (e) { console.warn('[Outbox] Listener failed:', e); }
+    });
+  }
+}
+
+// Global outbox instance (the page's window, or the service worker's global scope)
+(typeof window !== 'undefined' ? window : self).Outbox = new Outbox();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Outbox;
+}
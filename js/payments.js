@@ -0,0 +1,160 @@
+/**
+ * Payment Ledger - Records payments against invoices
+ * Invoice payment status and balance are derived from the ledger
+ */
+
+class PaymentLedger {
+  constructor() {
+    this.METHODS = {
+      cash: 'Cash',
+      bank_transfer: 'Bank transfer',
+      card: 'Card'
+    };
+
+    this.STATUSES = {
+      UNPAID: 'Unpaid',
+      PARTIALLY_PAID: 'Partially Paid',
+      PAID: 'Paid',
+      OVERPAID: 'Overpaid'
+    };
+  }
+
+  /**
+   * Payments recorded on an invoice.
+   * Invoices marked 'Paid' before the ledger existed count as paid in full.
+   */
+  getPayments(invoice) {
+    if (!invoice) return [];
+    if (Array.isArray(invoice.payments)) return invoice.payments;
+    if (invoice.status === this.STATUSES.PAID) {
+      return [{
+        id: 'legacy',
+        amount: this.round(invoice.total),
+        date: (invoice.paidAt || invoice.issuedAt || '').slice(0, 10),
+        method: '',
+        reference: 'Marked paid before payment ledger',
+        legacy: true
+      }];
+    }
+    return [];
+  }
+
+  /**
+   * Total amount paid
+   */
+  getPaid(invoice) {
+    return this.round(this.getPayments(invoice).reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+  }
+
+  /**
+   * Outstanding balance (negative when overpaid)
+   */
+  getBalance(invoice) {
+    return this.round((Number(invoice && invoice.total) || 0) - this.getPaid(invoice));
+  }
+
+  /**
+   * Derived payment status
+   */
+  getStatus(invoice) {
+    const total = this.round(invoice && invoice.total);
+    const paid = this.getPaid(invoice);
+    if (paid <= 0) return this.STATUSES.UNPAID;
+    if (paid < total) return this.STATUSES.PARTIALLY_PAID;
+    if (paid === total) return this.STATUSES.PAID;
+    return this.STATUSES.OVERPAID;
+  }
+
+  /**
+   * Validate and build a payment entry
+   */
+  createPayment({ amount, date, method, reference, by }) {
+    const value = this.round(amount);
+    if (!(value > 0)) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+    if (!this.METHODS[method]) {
+      throw new Error('Select a payment method');
+    }
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      throw new Error('Enter a valid payment date');
+    }
+    return {
+      id: 'pay_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+      amount: value,
+      date,
+      method,
+      reference: String(reference || '').trim(),
+      recordedAt: new Date().toISOString(),
+      recordedBy: by || null
+    };
+  }
+
+  /**
+   * Fields to persist after the ledger changes
+   */
+  buildPatch(invoice, payments) {
+    const next = Object.assign({}, invoice, { payments });
+    const status = this.getStatus(next);
+    const patch = {
+      payments,
+      amountPaid: this.getPaid(next),
+      balance: this.getBalance(next),
+      status
+    };
+    if (status === this.STATUSES.PAID || status === this.STATUSES.OVERPAID) {
+      patch.paidAt = invoice.paidAt && invoice.status === status ? invoice.paidAt : new Date().toISOString();
+    } else {
+      patch.paidAt = null;
+    }
+    return patch;
+  }
+
+  /**
+   * Add a payment to an invoice
+   */
+  addPayment(invoice, payment) {
+    return this.buildPatch(invoice, this.getPayments(invoice).concat([payment]));
+  }
+
+  /**
+   * Remove a payment recorded in error
+   */
+  removePayment(invoice, paymentId) {
+    return this.buildPatch(invoice, this.getPayments(invoice).filter(p => p.id !== paymentId));
+  }
+
+  /**
+   * Human readable payment method
+   */
+  getMethodLabel(method) {
+    return this.METHODS[method] || 'Other';
+  }
+
+  /**
+   * Status badge colour
+   */
+  getStatusColor(status) {
+    switch (status) {
+      case this.STATUSES.PAID: return '#388E3C';
+      case this.STATUSES.PARTIALLY_PAID: return '#FFA000';
+      case this.STATUSES.OVERPAID: return '#1976D2';
+      default: return '#D32F2F';
+    }
+  }
+
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(Number(amount || 0) * 100) / 100;
+  }
+}
+
+// Global payment ledger instance
+window.PaymentLedger = new PaymentLedger();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaymentLedger;
+}
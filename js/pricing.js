@@ -0,0 +1,213 @@
+/**
+ * Pricing Engine - Computes jersey and invoice prices from the price catalog
+ * Catalog is stored in Firestore (settings/pricing) with a localStorage copy
+ */
+
+class PricingEngine {
+  constructor() {
+    this.storageKey = 'pricingCatalog';
+    this.docPath = { collection: 'settings', doc: 'pricing' };
+
+    // Default catalog; every amount is per jersey in the catalog currency
+    this.defaults = {
+      currency: 'MVR',
+      materials: {
+        'Waffle': 180,
+        'Combweb': 190,
+        'Vortex Jacquard': 240,
+        'Mesh': 170,
+        'Iceburg': 200,
+        'Nano Check': 210,
+        'Closehole': 185,
+        'Drytec': 175,
+        'Wetlook': 220,
+        'Baby Pk': 180,
+        'Cool Tech': 230,
+        'Net': 160
+      },
+      longSleeve: 40,
+      shorts: 90,
+      categories: {
+        Adult: 0,
+        Kids: -30,
+        Muslima: 60
+      },
+      tax: {
+        label: 'GST',
+        rate: 0,
+        zohoTaxId: ''
+      }
+    };
+
+    this.catalog = this.loadLocal();
+  }
+
+  /**
+   * Merge a stored catalog over the defaults
+   */
+  normalize(catalog) {
+    const c = catalog || {};
+    return {
+      currency: c.currency || this.defaults.currency,
+      materials: Object.assign({}, this.defaults.materials, c.materials),
+      longSleeve: this.toAmount(c.longSleeve, this.defaults.longSleeve),
+      shorts: this.toAmount(c.shorts, this.defaults.shorts),
+      categories: Object.assign({}, this.defaults.categories, c.categories),
+      tax: Object.assign({}, this.defaults.tax, c.tax),
+      updatedAt: c.updatedAt || null,
+      updatedBy: c.updatedBy || null
+    };
+  }
+
+  /**
+   * Parse a number, falling back when empty or invalid
+   */
+  toAmount(value, fallback = 0) {
+    const n = Number(value);
+    return value === '' || value === null || value === undefined || Number.isNaN(n) ? fallback : n;
+  }
+
+  /**
+   * Read the cached catalog from localStorage
+   */
+  loadLocal() {
+    try {
+      return this.normalize(JSON.parse(localStorage.getItem(this.storageKey) || 'null'));
+    } catch (error) {
+      return this.normalize(null);
+    }
+  }
+
+  /**
+   * Load the catalog from Firestore, falling back to the local copy
+   */
+  async load() {
+    try {
+      if (window.firebaseServices && window.firebaseServices.db) {
+        const doc = await window.firebaseServices.db.collection(this.docPath.collection).doc(this.docPath.doc).get();
+        if (doc.exists) {
+          this.catalog = this.normalize(doc.data());
+          localStorage.setItem(this.storageKey, JSON.stringify(this.catalog));
+        }
+      }
+    } catch (error) {
+      console.warn('[Pricing] Failed to load catalog, using local copy:', error);
+    }
+    return this.catalog;
+  }
+
+  /**
+   * Save the catalog to Firestore and localStorage
+   */
+  async save(catalog, by) {
+    const next = this.normalize(Object.assign({}, catalog, { updatedAt: new Date().toISOString(), updatedBy: by || null }));
+    localStorage.setItem(this.storageKey, JSON.stringify(next));
+    this.catalog = next;
+    if (window.firebaseServices && window.firebaseServices.db) {
+      await window.firebaseServices.db.collection(this.docPath.collection).doc(this.docPath.doc).set(next);
+    }
+    return next;
+  }
+
+  /**
+   * Base price for a material (null when not in the catalog)
+   */
+  getBasePrice(material) {
+    const price = this.catalog.materials[material];
+    return typeof price === 'number' ? price : null;
+  }
+
+  /**
+   * Price a single jersey
+   */
+  priceJersey(jersey, material) {
+    const j = jersey || {};
+    const base = this.getBasePrice(material) || 0;
+    const sleeve = j.sleeve === 'Long Sleeve' ? this.catalog.longSleeve : 0;
+    const shorts = j.shorts === 'Yes' ? this.catalog.shorts : 0;
+    const category = this.catalog.categories[j.cat] || 0;
+    return {
+      base,
+      sleeve,
+      shorts,
+      category,
+      unit: Math.max(0, base + sleeve + shorts + category)
+    };
+  }
+
+  /**
+   * Jerseys to price for an order (roster, legacy single jersey, or quantity placeholders)
+   */
+  getJerseys(order) {
+    if (Array.isArray(order.jerseys) && order.jerseys.length > 0) {
+      return { jerseys: order.jerseys, estimated: false };
+    }
+    if (order.jtype || order.jname || order.jnum) {
+      return { jerseys: [{ jtype: order.jtype, jname: order.jname, jnum: order.jnum, cat: order.cat, size: order.size, sleeve: order.sleeve, shorts: order.shorts }], estimated: false };
+    }
+    const qty = Math.max(1, Number(order.quantity || 1));
+    return { jerseys: Array.from({ length: qty }, () => ({})), estimated: true };
+  }
+
+  /**
+   * Price every jersey in an order
+   */
+  priceOrder(order) {
+    const o = order || {};
+    const { jerseys, estimated } = this.getJerseys(o);
+    const priced = jerseys.map(j => Object.assign({}, j, { price: this.priceJersey(j, o.material) }));
+    const total = priced.reduce((sum, j) => sum + j.price.unit, 0);
+    return {
+      currency: this.catalog.currency,
+      material: o.material || '',
+      materialPriced: this.getBasePrice(o.material) !== null,
+      estimated,
+      jerseys: priced,
+      total: this.round(total),
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build an override record for a quote
+   */
+  createOverride(quote, amount, reason, by) {
+    const value = Number(amount);
+    if (Number.isNaN(value) || value < 0) {
+      throw new Error('Override amount must be zero or more');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A reason is required to override the price');
+    }
+    return {
+      amount: this.round(value),
+      computedTotal: quote.total,
+      reason: String(reason).trim(),
+      by: by || null,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(Number(amount || 0) * 100) / 100;
+  }
+
+  /**
+   * Format an amount in the catalog currency
+   */
+  format(amount, currency) {
+    const value = Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currency || this.catalog.currency} ${value}`;
+  }
+}
+
+// Global pricing instance
+window.PricingEngine = new PricingEngine();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingEngine;
+}
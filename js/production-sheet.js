@@ -0,0 +1,108 @@
+/**
+ * Production Sheet - Groups an order's roster for the factory floor
+ * Jerseys are grouped by type, size category, size and sleeve, in print order
+ */
+
+class ProductionSheet {
+  constructor() {
+    // Print order for each grouping field; unknown values sort last
+    this.typeOrder = ['player jersey', 'keeper jersey', 'official jersey'];
+    this.categoryOrder = ['Adult', 'Kids', 'Muslima'];
+    this.sizeOrder = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL'];
+    this.sleeveOrder = ['Short Sleeve', 'Long Sleeve'];
+  }
+
+  /**
+   * Roster of an order (supports the legacy single-jersey format)
+   */
+  getJerseys(order) {
+    if (!order) return [];
+    if (Array.isArray(order.jerseys) && order.jerseys.length > 0) return order.jerseys;
+    if (order.jtype || order.jname || order.jnum) {
+      return [{ jerseyNumber: 1, jtype: order.jtype, jname: order.jname, jnum: order.jnum, cat: order.cat, size: order.size, sleeve: order.sleeve, shorts: order.shorts }];
+    }
+    return [];
+  }
+
+  /**
+   * Position of a value in a print order list
+   */
+  rank(list, value) {
+    const i = list.indexOf(value);
+    return i === -1 ? list.length : i;
+  }
+
+  /**
+   * Compare two jerseys by number, then name
+   */
+  compareJerseys(a, b) {
+    const an = parseInt(a.jnum, 10);
+    const bn = parseInt(b.jnum, 10);
+    if (!Number.isNaN(an) && !Number.isNaN(bn) && an !== bn) return an - bn;
+    if (Number.isNaN(an) !== Number.isNaN(bn)) return Number.isNaN(an) ? 1 : -1;
+    return String(a.jname || '').localeCompare(String(b.jname || ''));
+  }
+
+  /**
+   * Group jerseys by type, size category, size and sleeve
+   */
+  group(jerseys) {
+    const groups = new Map();
+    for (const j of jerseys) {
+      const type = String(j.jtype || 'Unspecified').toLowerCase();
+      const key = [type, j.cat || '', j.size || '', j.sleeve || ''].join('|');
+      if (!groups.has(key)) {
+        groups.set(key, { type, typeLabel: j.jtype || 'Unspecified', cat: j.cat || '—', size: j.size || '—', sleeve: j.sleeve || '—', jerseys: [] });
+      }
+      groups.get(key).jerseys.push(j);
+    }
+
+    return Array.from(groups.values())
+      .map(g => Object.assign(g, { jerseys: g.jerseys.slice().sort((a, b) => this.compareJerseys(a, b)) }))
+      .sort((a, b) =>
+        this.rank(this.typeOrder, a.type) - this.rank(this.typeOrder, b.type) ||
+        this.rank(this.categoryOrder, a.cat) - this.rank(this.categoryOrder, b.cat) ||
+        this.rank(this.sizeOrder, a.size) - this.rank(this.sizeOrder, b.size) ||
+        this.rank(this.sleeveOrder, a.sleeve) - this.rank(this.sleeveOrder, b.sleeve)
+      );
+  }
+
+  /**
+   * Totals for the sheet header
+   */
+  summarize(order) {
+    const jerseys = this.getJerseys(order);
+    const count = (field, value) => jerseys.filter(j => j[field] === value).length;
+    const numbers = jerseys.map(j => String(j.jnum || '')).filter(Boolean);
+    const duplicates = numbers.filter((n, i) => numbers.indexOf(n) !== i);
+    return {
+      material: order.material || '',
+      total: jerseys.length,
+      shortsYes: count('shorts', 'Yes'),
+      shortsNo: count('shorts', 'No'),
+      shortSleeve: count('sleeve', 'Short Sleeve'),
+      longSleeve: count('sleeve', 'Long Sleeve'),
+      duplicateNumbers: Array.from(new Set(duplicates))
+    };
+  }
+
+  /**
+   * Full sheet model for an order
+   */
+  build(order) {
+    return {
+      orderId: order.id,
+      customerName: order.customerName || '',
+      summary: this.summarize(order),
+      groups: this.group(this.getJerseys(order))
+    };
+  }
+}
+
+// Global production sheet instance
+window.ProductionSheet = new ProductionSheet();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductionSheet;
+}
@@ -0,0 +1,162 @@
+/**
+ * Push Notifications - Web Push opt-in for staff devices and event triggers
+ * Each device subscription is a pushSubscriptions/{id} doc owned by one user; api/push.js sends the payloads
+ */
+
+class PushNotifications {
+  constructor() {
+    this.collection = 'pushSubscriptions';
+    this.endpoint = '/api/push';
+
+    // Events staff can opt into (mirrors PUSH_EVENTS in api/_lib/push.js)
+    this.EVENTS = {
+      client_submission: 'Client submits jersey details',
+      invoice_paid: 'Invoice paid in full',
+      invoice_overdue: 'Invoice overdue'
+    };
+  }
+
+  /**
+   * Whether this browser can receive Web Push
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  /**
+   * VAPID public key (URL-safe base64) as the bytes PushManager expects
+   */
+  urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Stable doc ID for a push endpoint
+   */
+  async subscriptionId(endpoint) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(endpoint));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Subscription record for Firestore; unknown events are dropped
+   */
+  buildRecord(subscription, uid, events) {
+    const json = typeof subscription.toJSON === 'function' ? subscription.toJSON() : subscription;
+    return {
+      uid,
+      endpoint: json.endpoint,
+      keys: { p256dh: json.keys.p256dh, auth: json.keys.auth },
+      events: (events || []).filter(e => this.EVENTS[e]),
+      userAgent: navigator.userAgent,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Service worker registration used for push
+   */
+  async getRegistration() {
+    return (await navigator.serviceWorker.getRegistration()) || navigator.serviceWorker.register('./sw.js');
+  }
+
+  /**
+   * This device's push state: permission, current subscription and the events it receives
+   * @returns {Promise<{supported: boolean, permission: string, subscribed: boolean, events: Array<string>}>}
+   */
+  async getStatus() {
+    if (!this.isSupported()) return { supported: false, permission: 'unsupported', subscribed: false, events: [] };
+    const registration = await this.getRegistration();
+    const subscription = await registration.pushManager.getSubscription();
+    let events = [];
+    if (subscription) {
+      const doc = await window.firebaseServices.db.collection(this.collection).doc(await this.subscriptionId(subscription.endpoint)).get();
+      events = doc.exists ? doc.data().events || [] : [];
+    }
+    return { supported: true, permission: Notification.permission, subscribed: !!subscription, events };
+  }
+
+  /**
+   * Ask for permission, subscribe this device and store the subscription for the signed-in user
+   */
+  async enable(events) {
+    if (!this.isSupported()) throw new Error('This browser does not support push notifications.');
+    const user = window.firebaseServices.auth && window.firebaseServices.auth.currentUser;
+    if (!user) throw new Error('Sign in again to turn on push notifications.');
+    if (await Notification.requestPermission() !== 'granted') throw new Error('Notifications are blocked for this site in the browser settings.');
+
+    const response = await fetch(this.endpoint);
+    const { publicKey } = await response.json().catch(() => ({}));
+    if (!publicKey) throw new Error('Push notifications are not configured on the server.');
+
+    const registration = await this.getRegistration();
+    const subscription = (await registration.pushManager.getSubscription()) || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.urlBase64ToUint8Array(publicKey)
+    });
+    const id = await this.subscriptionId(subscription.endpoint);
+    await window.firebaseServices.db.collection(this.collection).doc(id).set({
+      ...this.buildRecord(subscription, user.uid, events),
+      createdAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Change which events this device receives
+   */
+  async updateEvents(events) {
+    const registration = await this.getRegistration();
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) throw new Error('Push notifications are off on this device.');
+    const id = await this.subscriptionId(subscription.endpoint);
+    await window.firebaseServices.db.collection(this.collection).doc(id).set({
+      events: (events || []).filter(e => this.EVENTS[e]),
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Unsubscribe this device and remove its stored subscription
+   */
+  async disable() {
+    const registration = await this.getRegistration();
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) return;
+    const id = await this.subscriptionId(subscription.endpoint);
+    await subscription.unsubscribe();
+    await window.firebaseServices.db.collection(this.collection).doc(id).delete();
+  }
+
+  /**
+   * Ask the server to push an event about an order to subscribed staff
+   * Staff calls are authenticated with their ID token; the client portal passes its link token. Never throws.
+   * @returns {Promise<Object|null>} the server's { sent, removed, failed } counts
+   */
+  async trigger(event, orderId, { clientToken } = {}) {
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const user = window.firebaseServices && window.firebaseServices.auth && window.firebaseServices.auth.currentUser;
+      if (user) headers.Authorization = `Bearer ${await user.getIdToken()}`;
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ event, orderId, clientToken: clientToken || null })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Server responded ${response.status}`);
+      return data;
+    } catch (error) {
+      console.warn(`Push ${event} for ${orderId} not sent:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Global push notifications instance
+window.PushNotifications = new PushNotifications();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PushNotifications;
+}
@@ -0,0 +1,505 @@
+/**
+ * Repositories - Typed data access for orders, invoices, customers and notifications
+ * Pages go through these instead of calling db.collection() directly, so readiness, the orders/orderDetails
+ * merge and auditing are handled in one place (the offline shim supports the same Firestore calls)
+ */
+
+class Repository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  /**
+   * Whether a database (Firestore or the localStorage shim) is available
+   */
+  isReady() {
+    return !!(window.firebaseServices && window.firebaseServices.db);
+  }
+
+  /**
+   * Active database
+   */
+  db() {
+    if (!this.isReady()) throw new Error('Database unavailable');
+    return window.firebaseServices.db;
+  }
+
+  /**
+   * Wait for the database; resolves false if it is not ready within timeoutMs
+   * @returns {Promise<boolean>}
+   */
+  ready(timeoutMs = 5000) {
+    return new Promise(resolve => {
+      const start = Date.now();
+      const tick = () => {
+        if (this.isReady()) return resolve(true);
+        if (Date.now() - start > timeoutMs) return resolve(false);
+        setTimeout(tick, 50);
+      };
+      tick();
+    });
+  }
+
+  /**
+   * Run a callback once the database is ready, however long that takes
+   */
+  onReady(callback) {
+    if (this.isReady()) return callback();
+    const timer = setInterval(() => {
+      if (this.isReady()) {
+        clearInterval(timer);
+        callback();
+      }
+    }, 50);
+  }
+
+  /**
+   * Record for a document snapshot, or null if it does not exist
+   */
+  fromDoc(doc) {
+    return doc && doc.exists ? { ...doc.data(), id: doc.id } : null;
+  }
+
+  /**
+   * Records for a query snapshot
+   */
+  fromSnapshot(snapshot) {
+    return (snapshot.docs || []).map(doc => ({ ...doc.data(), id: doc.id }));
+  }
+
+  /**
+   * One record by ID
+   */
+  async get(id, collection = this.collection) {
+    if (!id) return null;
+    return this.fromDoc(await this.db().collection(collection).doc(id).get());
+  }
+
+  /**
+   * Every record in a collection
+   */
+  async all(collection = this.collection) {
+    return this.fromSnapshot(await this.db().collection(collection).get());
+  }
+
+  /**
+   * Records where a field equals a value
+   */
+  async where(field, value, collection = this.collection) {
+    return this.fromSnapshot(await this.db().collection(collection).where(field, '==', value).get());
+  }
+
+  /**
+   * Write a whole record
+   */
+  async set(id, data, collection = this.collection) {
+    await this.db().collection(collection).doc(id).set(data);
+  }
+
+  /**
+   * Write some fields of a record, keeping the rest
+   */
+  async merge(id, patch, collection = this.collection) {
+    await this.db().collection(collection).doc(id).set(patch, { merge: true });
+  }
+
+  /**
+   * Delete a record
+   */
+  async remove(id, collection = this.collection) {
+    await this.db().collection(collection).doc(id).delete();
+  }
+
+  /**
+   * Follow a collection ordered by a field; onChange(records) runs on every change
+   * @returns {Function} unsubscribe
+   */
+  watch({ orderBy, direction = 'desc', limit = null }, onChange, onError, collection = this.collection) {
+    let query = this.db().collection(collection).orderBy(orderBy, direction);
+    if (limit) query = query.limit(limit);
+    return query.onSnapshot(snapshot => onChange(this.fromSnapshot(snapshot)), onError || (error => console.warn(`[Repository] ${collection} unavailable:`, error)));
+  }
+}
+
+/**
+ * Order as pages use it: the orders summary merged over its orderDetails form data
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {string|null} customerId
+ * @property {string} customerName
+ * @property {string} email
+ * @property {string} mobile
+ * @property {number} quantity
+ * @property {string} material
+ * @property {Object} [rosterRules]
+ * @property {string} status - OrderWorkflow status
+ * @property {Array<Object>} [jerseys] - client roster
+ * @property {Object} [clientLink]
+ * @property {string} createdAt
+ * @property {number} version - bumped by every content edit (order form, roster); workflow moves and links leave it
+ * @property {string} updatedAt - when the current version was saved
+ */
+
+class OrderRepository extends Repository {
+  constructor() {
+    super('orders');
+    this.detailsCollection = 'orderDetails';
+  }
+
+  /**
+   * Canonical order from its summary and details docs
+   * Summary fields win: they are typed and are the only copy of customerId, clientLink and priceOverride.
+   * Details only add the form fields the summary does not carry.
+   * @returns {Order|null}
+   */
+  toOrder(id, summary, details) {
+    if (!summary && !details) return null;
+    const order = { ...(details || {}), ...(summary || {}), id };
+    if (order.quantity !== undefined && order.quantity !== '') order.quantity = Number(order.quantity) || 0;
+    return order;
+  }
+
+  /**
+   * Join order summaries with their details (orders without a summary are left out)
+   * @returns {Array<Order>}
+   */
+  join(summaries, details) {
+    const byId = new Map((details || []).map(d => [d.id, d]));
+    return (summaries || []).map(s => this.toOrder(s.id, s, byId.get(s.id)));
+  }
+
+  /**
+   * Typed summary fields from the order form
+   */
+  buildSummary(fields) {
+    return {
+      customerId: fields.customerId || null,
+      customerName: String(fields.customerName || '').trim(),
+      email: String(fields.email || '').trim(),
+      mobile: String(fields.mobile || '').trim(),
+      quantity: Number(fields.quantity || 1),
+      material: fields.material || '',
+      ...(fields.rosterRules ? { rosterRules: fields.rosterRules } : {})
+    };
+  }
+
+  /**
+   * One order with its details
+   * @returns {Promise<Order|null>}
+   */
+  async get(id) {
+    if (!id) return null;
+    const [summary, details] = await Promise.all([super.get(id), super.get(id, this.detailsCollection)]);
+    return this.toOrder(id, summary, details);
+  }
+
+  /**
+   * Every order with its details
+   * @returns {Promise<Array<Order>>}
+   */
+  async listAll() {
+    const [summaries, details] = await Promise.all([this.all(), this.all(this.detailsCollection)]);
+    return this.join(summaries, details);
+  }
+
+  /**
+   * Follow order summaries, newest first
+   * @returns {Function} unsubscribe
+   */
+  subscribe(onChange, onError) {
+    return this.watch({ orderBy: 'createdAt' }, list => onChange(list.map(s => this.toOrder(s.id, s))), onError);
+  }
+
+  /**
+   * Order form fields kept on the details doc (the customer link only lives on the summary)
+   */
+  detailsFrom(fields) {
+    const { customerId, ...details } = fields;
+    return details;
+  }
+
+  /**
+   * Content version of an order (orders saved before versioning count as 0)
+   */
+  versionOf(order) {
+    return Number(order && order.version) || 0;
+  }
+
+  /**
+   * Error for a save based on a version that is no longer current
+   * @param {Object|null} current - the order as saved now, for the merge dialog
+   */
+  conflict(current) {
+    const error = new Error('This order was changed by someone else since it was opened');
+    error.code = 'conflict';
+    error.current = current;
+    return error;
+  }
+
+  /**
+   * Create an order with a freshly allocated ID; it starts in the workflow as a draft
+   * @returns {Promise<Order>}
+   */
+  async create(fields) {
+    const createdAt = new Date().toISOString();
+    const stamp = { version: 1, updatedAt: createdAt };
+    let summary = null;
+    const id = await window.IdAllocator.createWithId('order', newId => (summary = {
+      id: newId,
+      ...this.buildSummary(fields),
+      createdAt,
+      ...stamp,
+      ...window.OrderWorkflow.initial({ at: createdAt })
+    }));
+    await this.set(id, { ...this.detailsFrom(fields), ...stamp }, this.detailsCollection);
+    const order = this.toOrder(id, summary, this.detailsFrom(fields));
+    await window.AuditLog.record('order', id, null, order);
+    return order;
+  }
+
+  /**
+   * Write content fields to the summary and details together as the next version
+   * With a baseVersion, nothing is written if the order has moved past it: a conflict error carrying the
+   * current order is thrown instead. Online Firestore checks inside a transaction; the offline shim and
+   * offline Firestore re-read first. A blind write (for client links, which cannot read orders) sends
+   * baseVersion + 1 unread and leaves the check to firestore.rules.
+   * @returns {Promise<{version: number, updatedAt: string}>} the version written
+   */
+  async writeVersion(id, summary, details, { baseVersion = null, blind = false } = {}) {
+    const db = this.db();
+    const summaryRef = db.collection(this.collection).doc(id);
+    const detailsRef = db.collection(this.detailsCollection).doc(id);
+    const write = (target, current) => {
+      if (baseVersion !== null && this.versionOf(current) !== baseVersion) throw this.conflict(null);
+      const stamp = { version: this.versionOf(current) + 1, updatedAt: new Date().toISOString() };
+      target.set(summaryRef, { ...summary, ...stamp }, { merge: true });
+      target.set(detailsRef, { ...details, ...stamp }, { merge: true });
+      return stamp;
+    };
+
+    try {
+      if (!blind && typeof db.runTransaction === 'function' && navigator.onLine !== false) {
+        return await db.runTransaction(async (tx) => write(tx, this.fromDoc(await tx.get(summaryRef))));
+      }
+      const batch = db.batch();
+      const stamp = write(batch, blind ? { version: baseVersion || 0 } : await super.get(id));
+      await batch.commit();
+      return stamp;
+    } catch (error) {
+      if (error.code === 'conflict') error.current = await this.get(id);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the order form over an existing order; createdAt and workflow fields are kept
+   * Pass the version the form was loaded from to refuse overwriting a newer save (see writeVersion).
+   * @returns {Promise<Order>} the order after the update
+   */
+  async update(id, fields, { baseVersion = null } = {}) {
+    const before = await this.get(id);
+    if (!before) throw new Error('Order not found');
+    await this.writeVersion(id, this.buildSummary(fields), this.detailsFrom(fields), { baseVersion });
+    const after = await this.get(id);
+    await window.AuditLog.record('order', id, before, after);
+    return after;
+  }
+
+  /**
+   * Write content fields (roster) to both the summary and the details as the next version
+   * @returns {Promise<{version: number, updatedAt: string}>} the version written
+   */
+  patchContent(id, patch, options = {}) {
+    return this.writeVersion(id, patch, patch, options);
+  }
+
+  /**
+   * Write fields to both the summary and the details without a new version (status and revision marks)
+   */
+  async patch(id, patch) {
+    await this.merge(id, patch);
+    await this.merge(id, patch, this.detailsCollection);
+  }
+
+  /**
+   * Write fields that only live on the summary (customer link, price override)
+   */
+  async patchSummary(id, patch) {
+    await this.merge(id, patch);
+  }
+
+  /**
+   * Move an order to a workflow status
+   * @returns {Promise<{order: Order, patch: Object}>} the updated order and the fields written
+   */
+  async setStatus(id, to, { by, note } = {}) {
+    const before = await this.get(id);
+    if (!before) throw new Error('Order not found');
+    const patch = window.OrderWorkflow.transition(before, to, { by, note });
+    await this.patch(id, patch);
+    await window.AuditLog.record('order', id, before, patch, { action: 'status' });
+    return { order: { ...before, ...patch }, patch };
+  }
+
+  /**
+   * Delete an order and its details
+   * @returns {Promise<Order|null>} the deleted order
+   */
+  async delete(id) {
+    const before = await this.get(id);
+    await this.remove(id, this.detailsCollection).catch(() => {});
+    await this.remove(id);
+    if (before) await window.AuditLog.record('order', id, before, null);
+    return before;
+  }
+}
+
+class InvoiceRepository extends Repository {
+  constructor() {
+    super('invoices');
+  }
+
+  /**
+   * All invoices, newest first
+   */
+  async list() {
+    const invoices = await this.all();
+    return invoices.sort((a, b) => String(b.issuedAt || '').localeCompare(String(a.issuedAt || '')));
+  }
+
+  /**
+   * Invoices for an order
+   */
+  forOrder(orderId) {
+    return this.where('orderId', orderId);
+  }
+
+  /**
+   * Create or update an invoice (merged by invoiceId) and audit the change
+   */
+  async save(invoice, action = 'invoice') {
+    const before = await this.get(invoice.invoiceId);
+    await this.merge(invoice.invoiceId, invoice);
+    await window.AuditLog.record('invoice', invoice.invoiceId, before, invoice, { action });
+  }
+
+  /**
+   * Change an invoice's payment ledger from its saved copy, so two people recording payments do not drop one
+   * Online Firestore reads and writes inside a transaction; the offline shim and offline Firestore re-read first.
+   * @param {Function} change - saved invoice => fields to write (PaymentLedger.addPayment / removePayment)
+   * @returns {Promise<{before: Object, after: Object}>} the invoice before and after the change
+   */
+  async updatePayments(id, change) {
+    const db = this.db();
+    const ref = db.collection(this.collection).doc(id);
+    const apply = (before, write) => {
+      if (!before) throw new Error('Invoice not found');
+      const patch = change(before);
+      write(patch);
+      return { before, after: { ...before, ...patch } };
+    };
+
+    let result;
+    if (typeof db.runTransaction === 'function' && navigator.onLine !== false) {
+      result = await db.runTransaction(async (tx) => apply(this.fromDoc(await tx.get(ref)), patch => tx.set(ref, patch, { merge: true })));
+    } else {
+      let pending = null;
+      result = apply(await this.get(id), patch => (pending = patch));
+      await this.merge(id, pending);
+    }
+    await window.AuditLog.record('invoice', id, result.before, result.after, { action: 'payment' });
+    return result;
+  }
+
+  /**
+   * Delete every invoice for an order
+   * @returns {Promise<number>} how many were deleted
+   */
+  async deleteForOrder(orderId) {
+    const invoices = await this.forOrder(orderId);
+    for (const invoice of invoices) {
+      await this.remove(invoice.id);
+      await window.AuditLog.record('invoice', invoice.id, invoice, null);
+    }
+    return invoices.length;
+  }
+}
+
+class CustomerRepository extends Repository {
+  constructor() {
+    super('customers');
+  }
+
+  /**
+   * All customers, by name (records merged into another are left out unless asked for)
+   */
+  async list({ includeMerged = false } = {}) {
+    const customers = (await this.all()).filter(c => includeMerged || !c.mergedInto);
+    return customers.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Create or update a customer record
+   */
+  save(id, record) {
+    return this.merge(id, record);
+  }
+}
+
+class NotificationRepository extends Repository {
+  constructor() {
+    super('notifications');
+    this.readsCollection = 'notificationReads';
+  }
+
+  /**
+   * Unique notification ID, sortable by creation time
+   */
+  generateId() {
+    return `notif_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Post a notification; clients include their link token (see firestore.rules)
+   * @returns {Promise<string>} the notification ID
+   */
+  async add({ title, message, type = 'info', orderId = null, at = new Date().toISOString(), clientToken }) {
+    const id = this.generateId();
+    await this.set(id, { title, message, type, orderId, at, ...(clientToken ? { clientToken } : {}) });
+    return id;
+  }
+
+  /**
+   * Follow the newest notifications
+   * @returns {Function} unsubscribe
+   */
+  subscribe(limit, onChange, onError) {
+    return this.watch({ orderBy: 'at', limit }, onChange, onError);
+  }
+
+  /**
+   * Follow a user's read state
+   * @returns {Function} unsubscribe
+   */
+  watchReadState(key, onChange, onError) {
+    return this.db().collection(this.readsCollection).doc(key).onSnapshot(doc => onChange(doc.exists ? doc.data() : null), onError);
+  }
+
+  /**
+   * Store a user's read state
+   */
+  saveReadState(key, state) {
+    return this.merge(key, state, this.readsCollection);
+  }
+}
+
+// Global repository instances
+window.OrderRepository = new OrderRepository();
+window.InvoiceRepository = new InvoiceRepository();
+window.CustomerRepository = new CustomerRepository();
+window.NotificationRepository = new NotificationRepository();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Repository, OrderRepository, InvoiceRepository, CustomerRepository, NotificationRepository };
+}
@@ -0,0 +1,149 @@
+/**
+ * Roles - Staff roles, permissions and page access
+ * A user's role is stored on users/{uid}.role and mirrored in the session; firestore.rules enforce the same matrix
+ */
+
+class Roles {
+  constructor() {
+    this.ROLES = {
+      OWNER: 'owner',
+      MANAGER: 'manager',
+      STAFF: 'staff',
+      PRODUCTION: 'production',
+      VIEWER: 'viewer',
+      NONE: 'none'
+    };
+
+    this.definitions = {
+      owner: { label: 'Owner', description: 'Full access, including staff accounts' },
+      manager: { label: 'Manager', description: 'Everything except staff accounts' },
+      staff: { label: 'Staff', description: 'Create and edit orders, links and invoices' },
+      production: { label: 'Production', description: 'View orders, print sheets and move orders through production' },
+      viewer: { label: 'Viewer', description: 'Read-only access' },
+      none: { label: 'No access', description: 'Signed in, but not given a staff role' }
+    };
+
+    // Roles allowed for each action
+    this.permissions = {
+      'orders.view': ['owner', 'manager', 'staff', 'production', 'viewer'],
+      'orders.edit': ['owner', 'manager', 'staff'],
+      'orders.delete': ['owner', 'manager'],
+      'orders.status': ['owner', 'manager', 'staff', 'production'],
+      'roster.review': ['owner', 'manager', 'staff'],
+      'clientLinks.manage': ['owner', 'manager', 'staff'],
+      'invoices.create': ['owner', 'manager', 'staff'],
+      'payments.record': ['owner', 'manager'],
+      'zoho.sync': ['owner', 'manager'],
+      'production.print': ['owner', 'manager', 'staff', 'production'],
+      'reports.view': ['owner', 'manager', 'staff', 'production', 'viewer'],
+      'customers.view': ['owner', 'manager', 'staff', 'production', 'viewer'],
+      'settings.manage': ['owner', 'manager'],
+      'users.manage': ['owner']
+    };
+
+    // Permission needed to open each page (pages not listed only need a login)
+    this.pages = {
+      'index.html': 'orders.view',
+      'orders.html': 'orders.view',
+      'order.html': 'orders.edit',
+      'client-submissions.html': 'orders.view',
+      'customers.html': 'customers.view',
+      'customer.html': 'customers.view',
+      'reports.html': 'reports.view',
+      'print-sheet.html': 'production.print',
+      'users.html': 'users.manage'
+    };
+  }
+
+  /**
+   * Role given to accounts that have none stored: no access, so only an owner or a staff invite grants any
+   */
+  getDefaultRole() {
+    const config = (window.AppConfig && window.AppConfig.roles) || {};
+    return this.definitions[config.defaultRole] ? config.defaultRole : this.ROLES.NONE;
+  }
+
+  /**
+   * Known role key for a stored value (legacy sessions carry 'User')
+   */
+  normalize(role) {
+    const key = String(role || '').toLowerCase();
+    return this.definitions[key] ? key : this.getDefaultRole();
+  }
+
+  /**
+   * Display label for a role
+   */
+  getLabel(role) {
+    return this.definitions[this.normalize(role)].label;
+  }
+
+  /**
+   * Role of the signed-in user
+   */
+  getCurrentRole() {
+    const user = window.AuthManager && window.AuthManager.getCurrentUser ? window.AuthManager.getCurrentUser() : null;
+    return this.normalize(user && user.role);
+  }
+
+  /**
+   * Whether a role (default: current user's) may perform an action
+   */
+  can(permission, role = this.getCurrentRole()) {
+    const allowed = this.permissions[permission];
+    return !!allowed && allowed.includes(this.normalize(role));
+  }
+
+  /**
+   * Whether a role may open a page, e.g. 'settings.html'
+   */
+  canAccessPage(page, role = this.getCurrentRole()) {
+    const permission = this.pages[page];
+    return !permission || this.can(permission, role);
+  }
+
+  /**
+   * Read a user's role and disabled flag from the users collection (null if it cannot be read)
+   * @returns {Promise<{role: string, disabled: boolean}|null>}
+   */
+  async loadAccount(uid) {
+    if (!uid || !window.firebaseServices || !window.firebaseServices.db) return null;
+    try {
+      const doc = await window.firebaseServices.db.collection('users').doc(uid).get();
+      const data = doc.exists ? doc.data() : {};
+      return { role: this.normalize(data.role), disabled: data.disabled === true };
+    } catch (error) {
+      console.warn('[Roles] Failed to load account:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read a user's role from the users collection (null if it cannot be read)
+   */
+  async loadRole(uid) {
+    const account = await this.loadAccount(uid);
+    return account ? account.role : null;
+  }
+
+  /**
+   * Hide controls the role cannot use: [data-permission] elements and menu links to blocked pages
+   */
+  applyToPage(root = document, role = this.getCurrentRole()) {
+    root.querySelectorAll('[data-permission]').forEach(el => {
+      if (!this.can(el.getAttribute('data-permission'), role)) el.style.display = 'none';
+    });
+    root.querySelectorAll('.sidebar a[href], .profile-menu a[href]').forEach(link => {
+      const page = (link.getAttribute('href') || '').split(/[?#]/)[0].split('/').pop();
+      if (this.pages[page] && !this.canAccessPage(page, role)) link.style.display = 'none';
+    });
+  }
+}
+
+// Global roles instance
+window.Roles = new Roles();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Roles;
+}
@@ -0,0 +1,210 @@
+/**
+ * Roster Import - Reads rosters from CSV/XLSX files or pasted spreadsheet blocks
+ * Maps columns to jersey fields and normalizes values to the client form options
+ */
+
+class RosterImport {
+  constructor() {
+    this.sheetJsUrl = 'js/vendor/xlsx-0.20.3.full.min.js'; // SheetJS CE, served from this site (Apache-2.0, see xlsx-0.20.3.LICENSE)
+    this.sheetJsPromise = null;
+
+    // Jersey fields in default column order, with header names we recognise
+    this.fields = [
+      { key: 'jtype', label: 'Type', aliases: ['type', 'jersey type', 'jtype', 'kit', 'role'] },
+      { key: 'jname', label: 'Name', aliases: ['name', 'jersey name', 'jname', 'player name', 'print name'] },
+      { key: 'jnum', label: 'Number', aliases: ['number', 'no', 'no.', 'num', '#', 'jersey number', 'jnum', 'shirt number'] },
+      { key: 'cat', label: 'Category', aliases: ['category', 'size category', 'cat', 'fit'] },
+      { key: 'size', label: 'Size', aliases: ['size', 'jersey size'] },
+      { key: 'sleeve', label: 'Sleeve', aliases: ['sleeve', 'sleeves', 'sleeve length'] },
+      { key: 'shorts', label: 'Shorts', aliases: ['shorts', 'with shorts'] }
+    ];
+
+    // Form options, keyed by lower-case spellings clients commonly use
+    this.options = {
+      jtype: {
+        values: ['Player Jersey', 'Keeper Jersey', 'Official Jersey'],
+        synonyms: { player: 'Player Jersey', keeper: 'Keeper Jersey', goalkeeper: 'Keeper Jersey', gk: 'Keeper Jersey', official: 'Official Jersey', staff: 'Official Jersey' }
+      },
+      cat: {
+        values: ['Adult', 'Kids', 'Muslima'],
+        synonyms: { adults: 'Adult', men: 'Adult', kid: 'Kids', child: 'Kids', children: 'Kids', youth: 'Kids' }
+      },
+      size: {
+        values: ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL'],
+        synonyms: { small: 'S', medium: 'M', large: 'L', xxl: '2XL', xxxl: '3XL' }
+      },
+      sleeve: {
+        values: ['Short Sleeve', 'Long Sleeve'],
+        synonyms: { short: 'Short Sleeve', ss: 'Short Sleeve', long: 'Long Sleeve', ls: 'Long Sleeve' }
+      },
+      shorts: {
+        values: ['Yes', 'No'],
+        synonyms: { y: 'Yes', true: 'Yes', '1': 'Yes', n: 'No', false: 'No', '0': 'No' }
+      }
+    };
+  }
+
+  /**
+   * Parse a CSV/TSV block into rows of cells (tab, comma or semicolon separated)
+   */
+  parseDelimited(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/)[0] || '';
+    const delimiter = firstLine.includes('\t') ? '\t' : (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && cell === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row); row = []; cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+    return rows
+      .map(r => r.map(c => String(c).trim()))
+      .filter(r => r.some(c => c !== ''));
+  }
+
+  /**
+   * Load SheetJS on first use of an Excel file
+   */
+  loadSheetJs() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+    if (!this.sheetJsPromise) {
+      this.sheetJsPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = this.sheetJsUrl;
+        script.onload = () => resolve(window.XLSX);
+        script.onerror = () => {
+          this.sheetJsPromise = null;
+          reject(new Error('Could not load the Excel reader. Save the sheet as CSV and try again.'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return this.sheetJsPromise;
+  }
+
+  /**
+   * Read rows from an uploaded file (first sheet for Excel workbooks)
+   */
+  async readFile(file) {
+    const name = (file && file.name || '').toLowerCase();
+    if (/\.(xlsx|xls)$/.test(name)) {
+      const XLSX = await this.loadSheetJs();
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+      return rows
+        .map(r => r.map(c => String(c).trim()))
+        .filter(r => r.some(c => c !== ''));
+    }
+    if (/\.(csv|tsv|txt)$/.test(name) || !name.includes('.')) {
+      return this.parseDelimited(await file.text());
+    }
+    throw new Error('Unsupported file type. Upload a .csv, .xlsx or .xls file.');
+  }
+
+  /**
+   * Work out which column holds each field
+   * @returns {{hasHeader: boolean, mapping: Object<string, number>}} column index per field, -1 if missing
+   */
+  detectMapping(rows) {
+    const header = (rows[0] || []).map(c => c.toLowerCase().replace(/\s+/g, ' ').trim());
+    const mapping = {};
+    let matched = 0;
+    this.fields.forEach(f => {
+      const index = header.findIndex(h => f.aliases.includes(h));
+      mapping[f.key] = index;
+      if (index !== -1) matched++;
+    });
+
+    // A header row names at least two fields and holds no shirt numbers
+    if (matched >= 2 && !header.some(h => /^\d+$/.test(h))) return { hasHeader: true, mapping };
+
+    // No recognisable header row: assume the default column order
+    this.fields.forEach((f, i) => { mapping[f.key] = i < header.length ? i : -1; });
+    return { hasHeader: false, mapping };
+  }
+
+  /**
+   * Map a cell to the matching form option (unknown values are kept for correction)
+   */
+  normalizeValue(field, value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (field === 'jname') return text;
+    if (field === 'jnum') return text.replace(/^#/, '');
+    const option = this.options[field];
+    if (!option || !text) return text;
+
+    const key = text.toLowerCase().replace(/\s+/g, ' ');
+    const exact = option.values.find(v => v.toLowerCase() === key);
+    if (exact) return exact;
+    if (option.synonyms[key]) return option.synonyms[key];
+    const firstWord = key.split(' ')[0];
+    return option.synonyms[firstWord] || text;
+  }
+
+  /**
+   * Turn spreadsheet rows into jersey objects in the client form's format
+   */
+  toJerseys(rows, mapping, hasHeader) {
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    return dataRows.map((row, i) => {
+      const jersey = { jerseyNumber: i + 1 };
+      this.fields.forEach(f => {
+        const index = mapping[f.key];
+        jersey[f.key] = this.normalizeValue(f.key, index >= 0 ? row[index] : '');
+      });
+      return jersey;
+    });
+  }
+
+  /**
+   * Validate imported jerseys against the order's roster rules and size
+   * @returns {{isValid: boolean, errors: Array, countError: string|null}}
+   */
+  validate(jerseys, quantity, rosterRules) {
+    const result = window.DataValidator.validateRoster(jerseys, rosterRules);
+    const errors = result.errors.slice();
+
+    // Values the form's selects cannot show
+    jerseys.forEach((j, index) => {
+      Object.keys(this.options).forEach(field => {
+        const flagged = errors.some(e => e.index === index && e.field === field);
+        if (j[field] && !flagged && !this.options[field].values.includes(j[field])) {
+          errors.push({ index, field, message: `"${j[field]}" is not a valid option` });
+        }
+      });
+    });
+
+    const countError = jerseys.length > quantity
+      ? `This order is for ${quantity} jersey${quantity === 1 ? '' : 's'} but ${jerseys.length} rows were imported. Remove the extra rows.`
+      : null;
+
+    return { isValid: errors.length === 0 && !countError && jerseys.length > 0, errors, countError };
+  }
+}
+
+// Global roster import instance
+window.RosterImport = new RosterImport();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RosterImport;
+}
@@ -0,0 +1,198 @@
+/**
+ * Roster Revisions - Client change requests against a submitted roster
+ * Each request is a rosterRevisions/{id} doc with the proposed jerseys and a per-jersey diff for staff review
+ */
+
+class RosterRevisions {
+  constructor() {
+    this.collection = 'rosterRevisions';
+    this.STATUSES = { PENDING: 'pending', APPROVED: 'approved', REJECTED: 'rejected' };
+    // Jersey fields compared between revisions, in display order
+    this.fields = [
+      { key: 'jtype', label: 'Type' },
+      { key: 'jname', label: 'Name' },
+      { key: 'jnum', label: 'Number' },
+      { key: 'cat', label: 'Category' },
+      { key: 'size', label: 'Size' },
+      { key: 'sleeve', label: 'Sleeve' },
+      { key: 'shorts', label: 'Shorts' }
+    ];
+  }
+
+  /**
+   * Label for a jersey field
+   */
+  getFieldLabel(key) {
+    const field = this.fields.find(f => f.key === key);
+    return field ? field.label : key;
+  }
+
+  /**
+   * Compare two rosters position by position
+   * @returns {Array<{jersey: number, type: string, changes: Array<{field: string, from: string, to: string}>}>}
+   */
+  diff(before, after) {
+    const from = Array.isArray(before) ? before : [];
+    const to = Array.isArray(after) ? after : [];
+    const value = v => (v === undefined || v === null ? '' : String(v).trim());
+    const entries = [];
+
+    for (let i = 0; i < Math.max(from.length, to.length); i++) {
+      const a = from[i];
+      const b = to[i];
+      if (!a) {
+        entries.push({ jersey: i + 1, type: 'added', changes: this.fields.map(f => ({ field: f.key, from: '', to: value(b[f.key]) })) });
+      } else if (!b) {
+        entries.push({ jersey: i + 1, type: 'removed', changes: this.fields.map(f => ({ field: f.key, from: value(a[f.key]), to: '' })) });
+      } else {
+        const changes = this.fields
+          .filter(f => value(a[f.key]) !== value(b[f.key]))
+          .map(f => ({ field: f.key, from: value(a[f.key]), to: value(b[f.key]) }));
+        if (changes.length) entries.push({ jersey: i + 1, type: 'changed', changes });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * One-line description of a diff, e.g. "2 jerseys changed, 1 added"
+   */
+  summarize(diff) {
+    const count = type => diff.filter(d => d.type === type).length;
+    const parts = [];
+    if (count('changed')) parts.push(`${count('changed')} jersey${count('changed') === 1 ? '' : 's'} changed`);
+    if (count('added')) parts.push(`${count('added')} added`);
+    if (count('removed')) parts.push(`${count('removed')} removed`);
+    return parts.length ? parts.join(', ') : 'No changes';
+  }
+
+  /**
+   * Unique revision ID, sortable by creation time
+   */
+  generateId() {
+    return `rev_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Submit a client change request through a link token
+   * @returns {Promise<Object>} the stored revision
+   */
+  async createRequest(token, order, jerseys, note = '') {
+    if (window.OrderWorkflow.isRosterLocked(order)) {
+      throw new Error('This order is already in production and can no longer be changed.');
+    }
+    const diff = this.diff(order.jerseys, jerseys);
+    if (diff.length === 0) throw new Error('No changes to submit.');
+
+    const db = window.firebaseServices.db;
+    const id = this.generateId();
+    const requestedAt = new Date().toISOString();
+    const revision = {
+      orderId: order.id,
+      status: this.STATUSES.PENDING,
+      requestedAt,
+      requestedBy: 'client',
+      note: String(note || '').trim(),
+      jerseys,
+      baseJerseys: order.jerseys || [],
+      diff,
+      clientToken: token // checked against clientLinks in firestore.rules
+    };
+    await db.collection(this.collection).doc(id).set(revision);
+
+    // The portal reads request state from the link snapshot (clients cannot read revisions)
+    const lastRevision = { id, status: this.STATUSES.PENDING, at: requestedAt, note: revision.note };
+    const link = await window.ClientLinks.load(token);
+    await db.collection(window.ClientLinks.collection).doc(token).set({ order: { ...(link && link.order ? link.order : {}), lastRevision } }, { merge: true });
+
+    return { id, ...revision };
+  }
+
+  /**
+   * All revisions for an order, newest first (staff only)
+   */
+  async listForOrder(orderId) {
+    const snapshot = await window.firebaseServices.db.collection(this.collection).where('orderId', '==', orderId).get();
+    const revisions = [];
+    snapshot.forEach(doc => revisions.push({ id: doc.id, ...doc.data() }));
+    return revisions.sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)));
+  }
+
+  /**
+   * Check a revision against the order as it is now
+   * The stored diff is client-supplied, so staff review (and approval) uses one recomputed from the current
+   * roster. A request is stale once the roster has moved away from the one the client started from.
+   * @returns {{diff: Array, stale: boolean, errors: Array<{index: number, field: string, message: string}>}}
+   */
+  review(revision, order) {
+    const current = (order && order.jerseys) || [];
+    return {
+      diff: this.diff(current, revision.jerseys),
+      stale: this.diff(revision.baseJerseys, current).length > 0,
+      errors: window.DataValidator.validateRoster(revision.jerseys, order && order.rosterRules).errors
+    };
+  }
+
+  /**
+   * Apply a pending revision to the order and tell the team
+   */
+  async approve(revision, order, options = {}) {
+    const by = options.by || 'unknown';
+    const at = new Date().toISOString();
+    const note = String(options.note || '').trim();
+    if (revision.status !== this.STATUSES.PENDING) throw new Error('Only pending requests can be approved.');
+    const review = this.review(revision, order);
+    if (review.stale) throw new Error('The roster has changed since this request was made. Reject it and ask the client to submit again.');
+    if (review.errors.length) {
+      throw new Error(`The requested roster breaks the order's roster rules: ${review.errors.slice(0, 3).map(e => `Jersey ${e.index + 1}: ${e.message}`).join('; ')}`);
+    }
+
+    const db = window.firebaseServices.db;
+    const lastRevision = { id: revision.id, status: this.STATUSES.APPROVED, at, note };
+    const patch = { jerseys: revision.jerseys, rosterRevisedAt: at, lastRevision };
+    const stamp = await window.OrderRepository.patchContent(revision.orderId, patch, { baseVersion: window.OrderRepository.versionOf(order) });
+    await window.AuditLog.record('order', revision.orderId, order, patch, { action: 'revision' });
+    await db.collection(this.collection).doc(revision.id).set({ status: this.STATUSES.APPROVED, reviewedAt: at, reviewedBy: by, reviewNote: note }, { merge: true });
+
+    try {
+      await window.NotificationRepository.add({
+        title: 'Roster Change Approved',
+        message: `${by} approved roster changes for ${revision.orderId}: ${this.summarize(review.diff)}.`,
+        at,
+        orderId: revision.orderId
+      });
+    } catch (e) {
+      console.warn('Failed to save notification:', e);
+    }
+
+    await window.ClientLinks.refreshSnapshot({ ...order, ...patch, ...stamp });
+    return { ...patch, ...stamp };
+  }
+
+  /**
+   * Decline a pending revision, keeping the current roster
+   */
+  async reject(revision, order, options = {}) {
+    const db = window.firebaseServices.db;
+    const by = options.by || 'unknown';
+    const at = new Date().toISOString();
+    const note = String(options.note || '').trim();
+    if (revision.status !== this.STATUSES.PENDING) throw new Error('Only pending requests can be rejected.');
+
+    const lastRevision = { id: revision.id, status: this.STATUSES.REJECTED, at, note };
+    await window.OrderRepository.patch(revision.orderId, { lastRevision });
+    await window.AuditLog.record('order', revision.orderId, order, { lastRevision }, { action: 'revision' });
+    await db.collection(this.collection).doc(revision.id).set({ status: this.STATUSES.REJECTED, reviewedAt: at, reviewedBy: by, reviewNote: note }, { merge: true });
+
+    await window.ClientLinks.refreshSnapshot({ ...order, lastRevision });
+    return lastRevision;
+  }
+}
+
+// Global roster revisions instance
+window.RosterRevisions = new RosterRevisions();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RosterRevisions;
+}
@@ -0,0 +1,122 @@
+/**
+ * Size Run Report - Totals jersey quantities across orders for purchasing
+ * Rows are keyed by material, size category, size, sleeve and shorts
+ */
+
+class SizeRunReport {
+  constructor() {
+    this.columns = [
+      { key: 'material', label: 'Material' },
+      { key: 'cat', label: 'Size Category' },
+      { key: 'size', label: 'Size' },
+      { key: 'sleeve', label: 'Sleeve' },
+      { key: 'shorts', label: 'Shorts' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'orderCount', label: 'Orders' }
+    ];
+  }
+
+  /**
+   * Join orders with their orderDetails (merge rules in OrderRepository.toOrder)
+   */
+  join(orders, details) {
+    return window.OrderRepository.join(orders, details);
+  }
+
+  /**
+   * Apply status and created-date filters
+   * @param {Array} orders - joined orders
+   * @param {Object} filters - { status: 'all' | 'open' | status, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+   */
+  filter(orders, filters = {}) {
+    const workflow = window.OrderWorkflow;
+    const status = filters.status || 'all';
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+    return orders.filter(o => {
+      if (status === 'open' && !workflow.isOpen(o)) return false;
+      if (status !== 'open' && status !== 'all' && workflow.getStatus(o) !== status) return false;
+      if (from || to) {
+        const created = new Date(o.createdAt);
+        if (Number.isNaN(created.getTime())) return false;
+        if (from && created < from) return false;
+        if (to && created > to) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Total jerseys by material x category x size x sleeve x shorts
+   */
+  aggregate(orders) {
+    const rows = new Map();
+    const awaiting = { orderCount: 0, quantity: 0 };
+
+    for (const order of orders) {
+      const jerseys = window.ProductionSheet.getJerseys(order);
+      if (jerseys.length === 0) {
+        // No roster yet, so only the ordered quantity is known
+        awaiting.orderCount++;
+        awaiting.quantity += Number(order.quantity) || 0;
+        continue;
+      }
+
+      for (const j of jerseys) {
+        const row = {
+          material: order.material || 'Unspecified',
+          cat: j.cat || 'Unspecified',
+          size: j.size || 'Unspecified',
+          sleeve: j.sleeve || 'Unspecified',
+          shorts: j.shorts || 'Unspecified'
+        };
+        const key = [row.material, row.cat, row.size, row.sleeve, row.shorts].join('|');
+        if (!rows.has(key)) rows.set(key, { ...row, quantity: 0, orders: new Set() });
+        const entry = rows.get(key);
+        entry.quantity++;
+        entry.orders.add(order.id);
+      }
+    }
+
+    const sheet = window.ProductionSheet;
+    const list = Array.from(rows.values())
+      .map(({ orders: ids, ...row }) => ({ ...row, orderCount: ids.size }))
+      .sort((a, b) =>
+        a.material.localeCompare(b.material) ||
+        sheet.rank(sheet.categoryOrder, a.cat) - sheet.rank(sheet.categoryOrder, b.cat) ||
+        sheet.rank(sheet.sizeOrder, a.size) - sheet.rank(sheet.sizeOrder, b.size) ||
+        sheet.rank(sheet.sleeveOrder, a.sleeve) - sheet.rank(sheet.sleeveOrder, b.sleeve) ||
+        a.shorts.localeCompare(b.shorts)
+      );
+
+    return {
+      rows: list,
+      totalJerseys: list.reduce((sum, r) => sum + r.quantity, 0),
+      orderCount: orders.length - awaiting.orderCount,
+      awaitingRoster: awaiting
+    };
+  }
+
+  /**
+   * Report rows as CSV text
+   * Cells starting with = + - or @ get a leading apostrophe so spreadsheets do not run them as formulas.
+   */
+  toCSV(rows) {
+    const quote = value => {
+      const text = String(value === undefined || value === null ? '' : value);
+      return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+    };
+    const lines = [this.columns.map(c => quote(c.label)).join(',')];
+    rows.forEach(row => lines.push(this.columns.map(c => quote(row[c.key])).join(',')));
+    return lines.join('\n');
+  }
+}
+
+// Global size run report instance
+window.SizeRunReport = new SizeRunReport();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SizeRunReport;
+}
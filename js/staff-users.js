@@ -0,0 +1,231 @@
+/**
+ * Staff Users - Staff accounts, email invites and sign-in history
+ * Accounts live in users/{uid}; an invite is an invites/{token} doc that the invitee accepts by setting a password
+ */
+
+class StaffUsers {
+  constructor() {
+    this.collection = 'users';
+    this.invitesCollection = 'invites';
+    this.loginEventsCollection = 'loginEvents';
+    this.INVITE_STATUSES = { PENDING: 'pending', ACCEPTED: 'accepted', REVOKED: 'revoked' };
+  }
+
+  /**
+   * Invite settings from config
+   */
+  getConfig() {
+    const config = (window.AppConfig && window.AppConfig.staffInvites) || {};
+    return { ttlDays: config.ttlDays || 7, tokenBytes: config.tokenBytes || 24 };
+  }
+
+  /**
+   * Random URL-safe invite token (hex)
+   */
+  generateToken() {
+    const bytes = new Uint8Array(this.getConfig().tokenBytes);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Accept page URL for an invite token
+   */
+  buildInviteUrl(token, origin = window.location.origin) {
+    return `${origin}/accept-invite.html?invite=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Lower-cased, trimmed email (Firebase Auth compares emails case-insensitively)
+   */
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * State of an invite: pending, accepted, revoked or expired
+   */
+  getInviteState(invite, now = Date.now()) {
+    if (invite.status === this.INVITE_STATUSES.ACCEPTED) return 'accepted';
+    if (invite.status === this.INVITE_STATUSES.REVOKED) return 'revoked';
+    if (!(Number(invite.expiresAt) > now)) return 'expired';
+    return 'pending';
+  }
+
+  /**
+   * Check a loaded invite before showing the accept form
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  validateInvite(invite, now = Date.now()) {
+    if (!invite) return { valid: false, reason: 'missing' };
+    const state = this.getInviteState(invite, now);
+    return state === 'pending' ? { valid: true, reason: null } : { valid: false, reason: state };
+  }
+
+  /**
+   * Whether a change would leave no active owner
+   * @param {Array<Object>} users - all accounts
+   * @param {string} uid - account being changed
+   * @param {Object} changes - { role, disabled }
+   */
+  wouldRemoveLastOwner(users, uid, changes) {
+    const isActiveOwner = u => window.Roles.normalize(u.role) === 'owner' && u.disabled !== true;
+    const after = users.map(u => (u.uid === uid ? { ...u, ...changes } : u));
+    return users.some(isActiveOwner) && !after.some(isActiveOwner);
+  }
+
+  /**
+   * All staff accounts, by email
+   */
+  async list() {
+    const snapshot = await window.firebaseServices.db.collection(this.collection).get();
+    const users = [];
+    snapshot.forEach(doc => users.push({ uid: doc.id, ...doc.data() }));
+    return users.sort((a, b) => String(a.email || '').localeCompare(String(b.email || '')));
+  }
+
+  /**
+   * All invites, newest first (owners only)
+   */
+  async listInvites() {
+    const snapshot = await window.firebaseServices.db.collection(this.invitesCollection).get();
+    const invites = [];
+    snapshot.forEach(doc => invites.push({ token: doc.id, ...doc.data() }));
+    return invites.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Load an invite by token
+   */
+  async loadInvite(token) {
+    if (!token) return null;
+    const doc = await window.firebaseServices.db.collection(this.invitesCollection).doc(token).get();
+    return doc.exists ? { token, ...doc.data() } : null;
+  }
+
+  /**
+   * Invite a staff member by email with a role
+   * @returns {Promise<{token: string, url: string, expiresAt: number}>}
+   */
+  async createInvite({ email, role, ttlDays }, by = 'unknown') {
+    const address = this.normalizeEmail(email);
+    if (!window.DataValidator.rules.email.test(address)) throw new Error('Enter a valid email address.');
+    if (!window.Roles.definitions[role] || role === window.Roles.ROLES.NONE) throw new Error('Choose a role for the invite.');
+
+    const token = this.generateToken();
+    const expiresAt = Date.now() + (ttlDays || this.getConfig().ttlDays) * 24 * 60 * 60 * 1000;
+    await window.firebaseServices.db.collection(this.invitesCollection).doc(token).set({
+      email: address,
+      role,
+      createdAt: new Date().toISOString(),
+      createdBy: by,
+      expiresAt, // epoch ms, compared against request.time in firestore.rules
+      status: this.INVITE_STATUSES.PENDING
+    });
+    return { token, url: this.buildInviteUrl(token), expiresAt };
+  }
+
+  /**
+   * Revoke a pending invite so it can no longer be accepted
+   */
+  async revokeInvite(token, by = 'unknown') {
+    await window.firebaseServices.db.collection(this.invitesCollection).doc(token).set({
+      status: this.INVITE_STATUSES.REVOKED,
+      revokedAt: new Date().toISOString(),
+      revokedBy: by
+    }, { merge: true });
+  }
+
+  /**
+   * Accept an invite: create the Auth account (or sign in to an existing one) and store the invited role
+   * @returns {Promise<{uid: string, email: string, role: string}>}
+   */
+  async acceptInvite(invite, password) {
+    const check = this.validateInvite(invite);
+    if (!check.valid) throw new Error(`This invite is ${check.reason}.`);
+    const { auth, db } = window.firebaseServices;
+
+    let credential;
+    try {
+      credential = await auth.createUserWithEmailAndPassword(invite.email, password);
+    } catch (error) {
+      if (error.code !== 'auth/email-already-in-use') throw error;
+      credential = await auth.signInWithEmailAndPassword(invite.email, password);
+    }
+
+    const uid = credential.user.uid;
+    const now = new Date().toISOString();
+    const existing = await db.collection(this.collection).doc(uid).get();
+    // inviteToken lets firestore.rules check the role against the invite
+    await db.collection(this.collection).doc(uid).set({
+      email: invite.email,
+      role: invite.role,
+      inviteToken: invite.token,
+      lastLoginAt: now,
+      ...(existing.exists ? {} : { createdAt: now, disabled: false })
+    }, { merge: true });
+    await db.collection(this.invitesCollection).doc(invite.token).set({
+      status: this.INVITE_STATUSES.ACCEPTED,
+      acceptedAt: now,
+      acceptedUid: uid
+    }, { merge: true });
+
+    return { uid, email: invite.email, role: invite.role };
+  }
+
+  /**
+   * Change an account's role, keeping at least one active owner
+   */
+  async setRole(user, role, users, by = 'unknown') {
+    if (!window.Roles.definitions[role]) throw new Error('Unknown role.');
+    if (this.wouldRemoveLastOwner(users, user.uid, { role })) throw new Error('At least one active owner is required.');
+    await window.firebaseServices.db.collection(this.collection).doc(user.uid).set({
+      role,
+      roleUpdatedAt: new Date().toISOString(),
+      roleUpdatedBy: by
+    }, { merge: true });
+  }
+
+  /**
+   * Disable or re-enable an account; disabled users are signed out and blocked by firestore.rules
+   */
+  async setDisabled(user, disabled, users, by = 'unknown') {
+    const current = window.AuthManager && window.AuthManager.getCurrentUser ? window.AuthManager.getCurrentUser() : null;
+    if (disabled && current && current.uid === user.uid) throw new Error('You cannot disable your own account.');
+    if (disabled && this.wouldRemoveLastOwner(users, user.uid, { disabled: true })) throw new Error('At least one active owner is required.');
+    await window.firebaseServices.db.collection(this.collection).doc(user.uid).set({
+      disabled: !!disabled,
+      disabledAt: disabled ? new Date().toISOString() : null,
+      disabledBy: disabled ? by : null
+    }, { merge: true });
+  }
+
+  /**
+   * Send a Firebase password reset email
+   */
+  async resetPassword(email) {
+    if (window.FirebaseHelpers && window.FirebaseHelpers.Auth) {
+      return window.FirebaseHelpers.Auth.resetPassword(email);
+    }
+    await window.firebaseServices.auth.sendPasswordResetEmail(email);
+    return true;
+  }
+
+  /**
+   * Most recent sign-in attempts for an account
+   */
+  async loadLoginEvents(uid, limit = 10) {
+    const snapshot = await window.firebaseServices.db.collection(this.loginEventsCollection).where('uid', '==', uid).get();
+    const events = [];
+    snapshot.forEach(doc => events.push({ id: doc.id, ...doc.data() }));
+    return events.sort((a, b) => String(b.ts).localeCompare(String(a.ts))).slice(0, limit);
+  }
+}
+
+// Global staff users instance
+window.StaffUsers = new StaffUsers();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffUsers;
+}
@@ -0,0 +1,456 @@
+/**
+ * App Storage - Async storage shared by the offline database shim, backups, logs and the cache
+ * IndexedDB holds one object store per collection (keyed by id, indexed on createdAt and orderId) plus
+ * logs, backups and cache stores; localStorage stands in where IndexedDB is unavailable.
+ * Data the app kept in localStorage before is moved over on first run.
+ */
+
+class IndexedDBBackend {
+  constructor(name, schemaFor) {
+    this.name = name;
+    this.schemaFor = schemaFor;
+    this.db = null;
+    this.opening = Promise.resolve();
+  }
+
+  /**
+   * Promise for an IDBRequest's result
+   */
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Open the database with the given stores; a missing store is created with a version upgrade
+   * Opens are serialized so tabs and callers never race on the version number
+   */
+  open(stores) {
+    const next = this.opening.then(async () => {
+      if (this.db && stores.every(s => this.db.objectStoreNames.contains(s))) return this.db;
+      if (!this.db) this.db = await this.connect();
+      const missing = stores.filter(s => !this.db.objectStoreNames.contains(s));
+      if (missing.length) {
+        const version = this.db.version + 1;
+        this.db.close();
+        this.db = await this.connect(version, missing);
+      }
+      return this.db;
+    });
+    this.opening = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Connect, creating stores during an upgrade
+   */
+  connect(version, stores = []) {
+    const req = version ? indexedDB.open(this.name, version) : indexedDB.open(this.name);
+    req.onupgradeneeded = () => {
+      stores.forEach(name => {
+        if (req.result.objectStoreNames.contains(name)) return;
+        const schema = this.schemaFor(name);
+        const store = req.result.createObjectStore(name, { keyPath: schema.keyPath, autoIncrement: !!schema.autoIncrement });
+        schema.indexes.forEach(index => store.createIndex(index, index));
+      });
+    };
+    req.onblocked = () => console.warn('[AppStorage] Waiting for other tabs to release the database');
+    // Another tab is upgrading (adding a store): let it, and reconnect on next use
+    return this.request(req).then(db => {
+      db.onversionchange = () => {
+        db.close();
+        if (this.db === db) this.db = null;
+      };
+      return db;
+    });
+  }
+
+  /**
+   * Run fn(tx) in one transaction; resolves with what its getter returns once the transaction completes
+   */
+  async transaction(stores, mode, fn) {
+    const db = await this.open(stores);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      const getter = fn(tx);
+      tx.oncomplete = () => resolve(typeof getter === 'function' ? getter() : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * One record by key, or null
+   */
+  get(store, key) {
+    return this.transaction([store], 'readonly', tx => {
+      const req = tx.objectStore(store).get(key);
+      return () => req.result || null;
+    });
+  }
+
+  /**
+   * Every record, or those whose indexed field equals value
+   */
+  getAll(store, index = null, value) {
+    return this.transaction([store], 'readonly', tx => {
+      const source = index ? tx.objectStore(store).index(index) : tx.objectStore(store);
+      const req = index ? source.getAll(IDBKeyRange.only(value)) : source.getAll();
+      return () => req.result;
+    });
+  }
+
+  /**
+   * Every key in a store
+   */
+  keys(store) {
+    return this.transaction([store], 'readonly', tx => {
+      const req = tx.objectStore(store).getAllKeys();
+      return () => req.result;
+    });
+  }
+
+  /**
+   * Number of records in a store
+   */
+  count(store) {
+    return this.transaction([store], 'readonly', tx => {
+      const req = tx.objectStore(store).count();
+      return () => req.result;
+    });
+  }
+
+  /**
+   * Apply put, delete and clear operations atomically
+   */
+  write(ops) {
+    const stores = Array.from(new Set(ops.map(op => op.store)));
+    return this.transaction(stores, 'readwrite', tx => {
+      ops.forEach(op => {
+        const store = tx.objectStore(op.store);
+        if (op.type === 'put') store.put(op.value);
+        else if (op.type === 'delete') store.delete(op.key);
+        else if (op.type === 'clear') store.clear();
+      });
+    });
+  }
+
+  /**
+   * Delete the oldest records by an index, keeping max
+   */
+  trim(store, index, max) {
+    return this.transaction([store], 'readwrite', tx => {
+      const objectStore = tx.objectStore(store);
+      objectStore.count().onsuccess = e => {
+        let excess = e.target.result - max;
+        if (excess <= 0) return;
+        objectStore.index(index).openCursor().onsuccess = ev => {
+          const cursor = ev.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess -= 1;
+          cursor.continue();
+        };
+      };
+    });
+  }
+}
+
+/**
+ * Same interface as IndexedDBBackend, one JSON array per store
+ */
+class LocalStorageBackend {
+  constructor(schemaFor, keyFor) {
+    this.schemaFor = schemaFor;
+    this.keyFor = keyFor;
+  }
+
+  /**
+   * Records of a store
+   */
+  read(store) {
+    try { return JSON.parse(localStorage.getItem(this.keyFor(store)) || '[]') || []; } catch (e) { return []; }
+  }
+
+  /**
+   * A record's key
+   */
+  key(store, record) {
+    return record ? record[this.schemaFor(store).keyPath] : undefined;
+  }
+
+  async get(store, key) {
+    return this.read(store).find(r => this.key(store, r) === key) || null;
+  }
+
+  async getAll(store, index = null, value) {
+    const list = this.read(store).filter(Boolean);
+    return index ? list.filter(r => r[index] === value) : list;
+  }
+
+  async keys(store) {
+    return this.read(store).map(r => this.key(store, r));
+  }
+
+  async count(store) {
+    return this.read(store).length;
+  }
+
+  async write(ops) {
+    const lists = new Map();
+    ops.forEach(op => {
+      if (!lists.has(op.store)) lists.set(op.store, this.read(op.store));
+      const keyPath = this.schemaFor(op.store).keyPath;
+      let list = lists.get(op.store);
+      if (op.type === 'clear') list = [];
+      else if (op.type === 'delete') list = list.filter(r => this.key(op.store, r) !== op.key);
+      else {
+        const value = Object.assign({}, op.value);
+        if (value[keyPath] === undefined && this.schemaFor(op.store).autoIncrement) {
+          value[keyPath] = list.reduce((max, r) => Math.max(max, Number(r[keyPath]) || 0), 0) + 1;
+        }
+        list = list.filter(r => this.key(op.store, r) !== value[keyPath]).concat(value);
+      }
+      lists.set(op.store, list);
+    });
+    lists.forEach((list, store) => localStorage.setItem(this.keyFor(store), JSON.stringify(list)));
+  }
+
+  async trim(store, index, max) {
+    const list = this.read(store);
+    if (list.length <= max) return;
+    list.sort((a, b) => String(a[index] || '').localeCompare(String(b[index] || '')));
+    localStorage.setItem(this.keyFor(store), JSON.stringify(list.slice(list.length - max)));
+  }
+}
+
+class AppStorage {
+  constructor() {
+    this.dbName = 'jersey-oms';
+    // Collections created up front; any other collection gets its store on first use
+    this.collections = [
+      'orders', 'orderDetails', 'invoices', 'customers', 'customerMerges', 'clientLinks', 'rosterRevisions',
+      'messages', 'notifications', 'notificationReads', 'auditLog', 'counters', 'settings', 'users', 'invites',
+      'loginEvents', 'pushSubscriptions'
+    ];
+    this.schemas = {
+      meta: { keyPath: 'key', indexes: [] },
+      logs: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp'] },
+      backups: { keyPath: 'id', indexes: ['timestamp'] },
+      cache: { keyPath: 'key', indexes: [] }
+    };
+    // Where the same data lived in localStorage
+    this.legacy = { logsKey: 'appLogs', backupPrefix: 'backup_', cachePrefix: 'jersey_cache_' };
+    this.backend = null;
+    this.opening = null;
+    this.listeners = new Set();
+    this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('jersey-oms-storage') : null;
+    if (this.channel) {
+      this.channel.onmessage = e => (e.data.stores || []).forEach(store => this.listeners.forEach(fn => fn(store)));
+    }
+  }
+
+  /**
+   * Store layout: collections are keyed by id and indexed on createdAt and orderId
+   */
+  schemaFor(store) {
+    return this.schemas[store] || { keyPath: 'id', indexes: ['createdAt', 'orderId'] };
+  }
+
+  /**
+   * localStorage key for a store when IndexedDB is unavailable (collections keep the shim's old keys)
+   */
+  localKeyFor(store) {
+    if (store === 'logs') return this.legacy.logsKey;
+    return this.schemas[store] ? `jersey_store_${store}` : store;
+  }
+
+  /**
+   * Backend for this browser, migrated and ready
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = (async () => {
+        if (typeof indexedDB !== 'undefined') {
+          try {
+            const backend = new IndexedDBBackend(this.dbName, store => this.schemaFor(store));
+            await backend.open(Object.keys(this.schemas).concat(this.collections));
+            await this.migrate(backend);
+            return (this.backend = backend);
+          } catch (error) {
+            console.warn('[AppStorage] IndexedDB unavailable, using localStorage:', error);
+          }
+        }
+        return (this.backend = new LocalStorageBackend(store => this.schemaFor(store), store => this.localKeyFor(store)));
+      })();
+    }
+    return this.opening;
+  }
+
+  /**
+   * Operations that move localStorage entries into their stores
+   * @param {Array<[string, string]>} entries - localStorage key/value pairs
+   * @returns {{ops: Array<Object>, keys: Array<string>}} writes to apply and keys to remove afterwards
+   */
+  planMigration(entries) {
+    const ops = [];
+    const keys = [];
+    const parse = raw => { try { return JSON.parse(raw); } catch (e) { return null; } };
+    entries.forEach(([key, raw]) => {
+      const value = parse(raw);
+      if (this.collections.includes(key) && Array.isArray(value)) {
+        value.filter(d => d && d.id).forEach(d => ops.push({ store: key, type: 'put', value: d }));
+      } else if (key === this.legacy.logsKey && Array.isArray(value)) {
+        value.filter(Boolean).forEach(entry => {
+          const { id, ...rest } = entry;
+          ops.push({ store: 'logs', type: 'put', value: rest });
+        });
+      } else if (key.startsWith(this.legacy.backupPrefix) && value && value.data) {
+        ops.push({ store: 'backups', type: 'put', value: { ...value, id: key } });
+      } else if (key.startsWith(this.legacy.cachePrefix) && value && value.timestamp) {
+        ops.push({ store: 'cache', type: 'put', value: { ...value, key: key.slice(this.legacy.cachePrefix.length) } });
+      } else {
+        return;
+      }
+      keys.push(key);
+    });
+    return { ops, keys };
+  }
+
+  /**
+   * Move localStorage data into IndexedDB once; the old keys are removed only after the write commits
+   */
+  async migrate(backend) {
+    if (await backend.get('meta', 'migratedFromLocalStorage')) return;
+    const entries = Object.keys(localStorage).map(key => [key, localStorage.getItem(key)]);
+    const { ops, keys } = this.planMigration(entries);
+    await backend.write(ops.concat({ store: 'meta', type: 'put', value: { key: 'migratedFromLocalStorage', at: new Date().toISOString(), keys: keys.length } }));
+    keys.forEach(key => localStorage.removeItem(key));
+    if (keys.length) console.log(`[AppStorage] Moved ${keys.length} localStorage entries to IndexedDB`);
+  }
+
+  /**
+   * Tell other tabs which stores changed
+   */
+  changed(stores) {
+    if (this.channel) this.channel.postMessage({ stores: Array.from(new Set(stores)) });
+  }
+
+  /**
+   * Run callback(store) when another tab writes to a store
+   * @returns {Function} unsubscribe
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * One record by key, or null
+   */
+  async get(store, key) {
+    return (await this.open()).get(store, key);
+  }
+
+  /**
+   * Every record in a store
+   */
+  async all(store) {
+    return (await this.open()).getAll(store);
+  }
+
+  /**
+   * Records whose field equals a value, through the store's index when it has one
+   */
+  async where(store, field, value) {
+    const backend = await this.open();
+    const indexable = typeof value === 'string' || typeof value === 'number';
+    if (indexable && this.schemaFor(store).indexes.includes(field)) return backend.getAll(store, field, value);
+    return (await backend.getAll(store)).filter(r => r && r[field] === value);
+  }
+
+  /**
+   * Keys of every record in a store
+   */
+  async keys(store) {
+    return (await this.open()).keys(store);
+  }
+
+  /**
+   * Number of records in a store
+   */
+  async count(store) {
+    return (await this.open()).count(store);
+  }
+
+  /**
+   * Apply writes across stores in one transaction
+   * @param {Array<{store: string, type: 'put'|'delete'|'clear', value?: Object, key?: *}>} ops
+   */
+  async batch(ops) {
+    if (!ops.length) return;
+    await (await this.open()).write(ops);
+    this.changed(ops.map(op => op.store));
+  }
+
+  /**
+   * Create or replace a record
+   */
+  put(store, value) {
+    return this.batch([{ store, type: 'put', value }]);
+  }
+
+  /**
+   * Create or replace several records
+   */
+  putAll(store, values) {
+    return this.batch(values.map(value => ({ store, type: 'put', value })));
+  }
+
+  /**
+   * Delete a record
+   */
+  delete(store, key) {
+    return this.batch([{ store, type: 'delete', key }]);
+  }
+
+  /**
+   * Delete every record in a store
+   */
+  clear(store) {
+    return this.batch([{ store, type: 'clear' }]);
+  }
+
+  /**
+   * Replace a store's records
+   */
+  replace(store, values) {
+    return this.batch([{ store, type: 'clear' }].concat(values.map(value => ({ store, type: 'put', value }))));
+  }
+
+  /**
+   * Keep only the newest max records by an index
+   */
+  async trim(store, index, max) {
+    await (await this.open()).trim(store, index, max);
+  }
+
+  /**
+   * Bytes this site uses in browser storage, or null if the browser cannot tell
+   */
+  async estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+    const { usage } = await navigator.storage.estimate();
+    return usage;
+  }
+}
+
+// Global storage instance
+window.AppStorage = new AppStorage();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AppStorage, IndexedDBBackend, LocalStorageBackend };
+}
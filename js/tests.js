@@ -56,6 +56,21 @@ class TestRunner {
     console.log(`🎯 Success Rate: ${((passed / this.results.length) * 100).toFixed(1)}%`);
   }
 
+  /**
+   * Load a page-specific module the current page does not include
+   * @returns {Promise<*>} window[globalName] once its script has run
+   */
+  requireScript(globalName, src) {
+    if (window[globalName]) return Promise.resolve(window[globalName]);
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = () => resolve(window[globalName]);
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
   /**
    * Assert helper
    */
@@ -180,6 +195,26 @@ window.TestRunner.test('Validation: Password strength', () => {
   });
 });
 
+window.TestRunner.test('Validation: Roster rules', () => {
+  const jersey = (fields) => Object.assign({ jtype: 'Player Jersey', jname: 'ALI', jnum: '7', cat: 'Adult', size: 'M', sleeve: 'Short Sleeve', shorts: 'Yes' }, fields);
+  const result = window.DataValidator.validateRoster([
+    jersey(),
+    jersey({ jnum: '7' }),
+    jersey({ jnum: '100', jname: 'A VERY LONG PLAYER NAME' }),
+    jersey({ jnum: '1', jtype: 'Keeper Jersey' }),
+    jersey({ jnum: '2', jtype: 'Keeper Jersey', cat: 'Kids' })
+  ], { maxKeepers: 1, allowedCategories: ['Adult'] });
+  const fieldsFor = (index) => result.errors.filter(e => e.index === index).map(e => e.field).join(',');
+
+  window.TestRunner.assertEqual(fieldsFor(0), '', 'First use of a number is valid');
+  window.TestRunner.assertEqual(fieldsFor(1), 'jnum', 'Duplicate numbers are rejected');
+  window.TestRunner.assertEqual(fieldsFor(2), 'jname,jnum', 'Long names and numbers over 99 are rejected');
+  window.TestRunner.assertEqual(fieldsFor(4), 'cat,jtype', 'Category and keeper limits come from the order rules');
+
+  const relaxed = window.DataValidator.validateRoster([jersey(), jersey()], { uniqueNumbers: false });
+  window.TestRunner.assert(relaxed.isValid, 'Orders can allow duplicate numbers');
+});
+
 /**
  * Performance tests
  */
@@ -234,23 +269,781 @@ window.TestRunner.test('Error Handling: Error logging', () => {
 /**
  * Backup tests
  */
-window.TestRunner.test('Backup: Create backup', () => {
+window.TestRunner.test('Backup: Create backup', async () => {
   // Set up test data
-  localStorage.setItem('orders', JSON.stringify([{ id: 'test_order', customerName: 'Test Customer' }]));
-  
-  const backup = window.BackupManager.createBackup();
+  await window.AppStorage.put('orders', { id: 'test_order', customerName: 'Test Customer' });
   
-  window.TestRunner.assertNotNull(backup, 'Backup should be created');
-  window.TestRunner.assertNotNull(backup.data, 'Backup should contain data');
-  window.TestRunner.assertNotNull(backup.timestamp, 'Backup should have timestamp');
+  try {
+    const backup = await window.BackupManager.createBackup();
+    
+    window.TestRunner.assertNotNull(backup, 'Backup should be created');
+    window.TestRunner.assertNotNull(backup.data, 'Backup should contain data');
+    window.TestRunner.assertNotNull(backup.timestamp, 'Backup should have timestamp');
+    window.TestRunner.assert(backup.data.orders.some(o => o.id === 'test_order'), 'Backup should contain stored orders');
+    window.TestRunner.assertNotNull(await window.AppStorage.get('backups', backup.id), 'Backup should be stored');
+  } finally {
+    await window.AppStorage.delete('orders', 'test_order');
+  }
 });
 
-window.TestRunner.test('Backup: Get backups', () => {
-  const backups = window.BackupManager.getBackups();
+window.TestRunner.test('Backup: Get backups', async () => {
+  const backups = await window.BackupManager.getBackups();
   
   window.TestRunner.assert(Array.isArray(backups), 'Backups should be an array');
 });
 
+window.TestRunner.test('Outbox: Records, retries and counts', () => {
+  const outbox = window.Outbox;
+  const record = outbox.buildRecord({
+    url: '/api/orders',
+    method: 'post',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer old', 'Idempotency-Key': 'k1' },
+    body: '{}',
+    idempotencyKey: 'k1'
+  });
+  window.TestRunner.assertEqual(record.method, 'POST');
+  window.TestRunner.assertEqual(record.idempotencyKey, 'k1');
+  window.TestRunner.assertEqual(Object.keys(record.headers).join(','), 'Content-Type', 'Auth headers are never stored');
+  window.TestRunner.assertEqual(record.status, 'queued');
+  window.TestRunner.assert(outbox.buildRecord({ url: '/a' }).idempotencyKey !== outbox.buildRecord({ url: '/a' }).idempotencyKey, 'Each request gets its own key');
+
+  window.TestRunner.assert(outbox.isRetryable(503) && outbox.isRetryable(429) && outbox.isRetryable(401), 'Server and auth errors are retried later');
+  window.TestRunner.assert(!outbox.isRetryable(400) && !outbox.isRetryable(409), 'Rejected requests are marked failed');
+
+  const counts = outbox.countsOf([{ status: 'queued' }, { status: 'failed' }, { status: 'queued' }]);
+  window.TestRunner.assertEqual(counts.queued, 2);
+  window.TestRunner.assertEqual(counts.failed, 1);
+});
+
+window.TestRunner.test('Order merge: Three-way field merge', () => {
+  const merger = window.OrderMerge;
+  const base = { customerName: 'Eagles FC', quantity: 12, material: 'Dri-fit', email: '', rosterRules: { uniqueNumbers: true, maxKeepers: 2 } };
+  const mine = { customerName: 'Eagles FC', quantity: '15', material: 'Mesh', email: '', rosterRules: { maxKeepers: 2, uniqueNumbers: true } };
+  const theirs = { ...base, quantity: 14, email: 'team@eagles.mv', version: 3 };
+  const result = merger.merge(base, mine, theirs);
+
+  window.TestRunner.assertEqual(result.conflicts.map(c => c.field).join(','), 'quantity', 'Only fields both sides changed differently conflict');
+  window.TestRunner.assertEqual(result.merged.material, 'Mesh', 'My change is kept');
+  window.TestRunner.assertEqual(result.merged.email, 'team@eagles.mv', 'Their change is kept');
+  window.TestRunner.assertEqual(result.merged.customerName, 'Eagles FC');
+  window.TestRunner.assert(!result.conflicts.some(c => c.field === 'rosterRules'), 'Key order and number types do not count as changes');
+  window.TestRunner.assertEqual(merger.resolve(result, { quantity: 'theirs' }).quantity, 14);
+  window.TestRunner.assertEqual(merger.resolve(result, {}).quantity, '15', 'Unpicked conflicts keep my value');
+  window.TestRunner.assertEqual(merger.merge(base, { quantity: 14 }, theirs).conflicts.length, 0, 'The same change on both sides is not a conflict');
+
+  const repository = window.OrderRepository;
+  window.TestRunner.assertEqual(repository.versionOf({}), 0, 'Orders saved before versioning start at 0');
+  window.TestRunner.assertEqual(repository.conflict(theirs).code, 'conflict');
+});
+
+window.TestRunner.test('Storage: localStorage migration plan', () => {
+  const storage = window.AppStorage;
+  const entries = [
+    ['orders', JSON.stringify([{ id: 'ORD-1', createdAt: '2024-05-01' }, { customerName: 'No id' }])],
+    ['appLogs', JSON.stringify([{ timestamp: '2024-05-01T10:00:00.000Z', level: 'INFO', message: 'Hi' }])],
+    ['backup_1714557600000', JSON.stringify({ timestamp: '2024-05-01T10:00:00.000Z', data: { orders: [] } })],
+    ['jersey_cache_orders?limit=5', JSON.stringify({ data: [], timestamp: 1, ttl: 1000 })],
+    ['userSession', JSON.stringify({ uid: 'u1' })],
+    ['appSettings', JSON.stringify({ currency: 'MVR' })]
+  ];
+  const { ops, keys } = storage.planMigration(entries);
+
+  window.TestRunner.assertEqual(keys.join(','), 'orders,appLogs,backup_1714557600000,jersey_cache_orders?limit=5', 'Sessions and settings stay in localStorage');
+  window.TestRunner.assertEqual(ops.filter(op => op.store === 'orders').length, 1, 'Records without an id are dropped');
+  window.TestRunner.assertEqual(ops.find(op => op.store === 'backups').value.id, 'backup_1714557600000');
+  window.TestRunner.assertEqual(ops.find(op => op.store === 'cache').value.key, 'orders?limit=5');
+  window.TestRunner.assertEqual(ops.find(op => op.store === 'logs').value.message, 'Hi');
+  window.TestRunner.assertEqual(storage.schemaFor('invoices').indexes.join(','), 'createdAt,orderId');
+  window.TestRunner.assertEqual(storage.localKeyFor('orders'), 'orders', 'Without IndexedDB collections keep their old keys');
+});
+
+/**
+ * Order workflow tests
+ */
+window.TestRunner.test('Workflow: Legacy status mapping', () => {
+  const workflow = window.OrderWorkflow;
+  window.TestRunner.assertEqual(workflow.getStatus({ status: 'completed', submittedAt: '2025-01-01T00:00:00.000Z' }), 'roster_received');
+  window.TestRunner.assertEqual(workflow.getStatus({ status: 'pending' }), 'awaiting_roster');
+  window.TestRunner.assertEqual(workflow.getStatus({ jerseys: [{ jname: 'ALI' }] }), 'roster_received');
+  window.TestRunner.assertEqual(workflow.getStatus({ customerName: 'Test' }), 'awaiting_roster');
+  window.TestRunner.assert(workflow.hasRoster({ status: 'in_print' }), 'In print orders should have a roster');
+  window.TestRunner.assert(!workflow.hasRoster({ status: 'draft' }), 'Draft orders should not have a roster');
+});
+
+window.TestRunner.test('Workflow: Transitions', () => {
+  const workflow = window.OrderWorkflow;
+  const order = workflow.initial({ at: '2025-01-01T00:00:00.000Z' });
+  const next = workflow.transition(order, 'awaiting_roster', { at: '2025-01-02T00:00:00.000Z', by: 'admin' });
+
+  window.TestRunner.assertEqual(next.status, 'awaiting_roster');
+  window.TestRunner.assertEqual(next.statusHistory.length, 2, 'Transition should append to history');
+  window.TestRunner.assertEqual(next.statusTimestamps.draft, '2025-01-01T00:00:00.000Z');
+  window.TestRunner.assertEqual(next.statusTimestamps.awaiting_roster, '2025-01-02T00:00:00.000Z');
+
+  let threw = false;
+  try { workflow.transition(order, 'delivered'); } catch (e) { threw = true; }
+  window.TestRunner.assert(threw, 'Skipping production stages should be rejected');
+  window.TestRunner.assert(!workflow.canTransition('delivered', 'draft'), 'Delivered is a final status');
+});
+
+/**
+ * Pricing tests
+ */
+window.TestRunner.test('Pricing: Jersey surcharges and adjustments', () => {
+  const pricing = window.PricingEngine;
+  const base = pricing.getBasePrice('Mesh');
+  const plain = pricing.priceJersey({ cat: 'Adult', sleeve: 'Short Sleeve', shorts: 'No' }, 'Mesh');
+  const full = pricing.priceJersey({ cat: 'Kids', sleeve: 'Long Sleeve', shorts: 'Yes' }, 'Mesh');
+
+  window.TestRunner.assertEqual(plain.unit, base, 'Plain adult jersey should cost the base price');
+  window.TestRunner.assertEqual(full.unit, base + pricing.catalog.longSleeve + pricing.catalog.shorts + pricing.catalog.categories.Kids);
+});
+
+window.TestRunner.test('Pricing: Order total and override', () => {
+  const pricing = window.PricingEngine;
+  const quote = pricing.priceOrder({ material: 'Drytec', jerseys: [{ cat: 'Adult' }, { cat: 'Adult', sleeve: 'Long Sleeve' }] });
+
+  window.TestRunner.assertEqual(quote.total, pricing.getBasePrice('Drytec') * 2 + pricing.catalog.longSleeve);
+  window.TestRunner.assert(!quote.estimated, 'Submitted roster should not be estimated');
+
+  const override = pricing.createOverride(quote, 100, 'Team discount', 'admin');
+  window.TestRunner.assertEqual(override.amount, 100);
+  window.TestRunner.assertEqual(override.computedTotal, quote.total, 'Override should record the computed total');
+
+  let threw = false;
+  try { pricing.createOverride(quote, 100, ''); } catch (e) { threw = true; }
+  window.TestRunner.assert(threw, 'Override without a reason should be rejected');
+});
+
+/**
+ * Invoice tests
+ */
+window.TestRunner.test('Invoice: Lines grouped by type, sleeve and shorts', () => {
+  const quote = {
+    currency: 'MVR',
+    material: 'Mesh',
+    total: 400,
+    jerseys: [
+      { jtype: 'Player Jersey', sleeve: 'Short Sleeve', shorts: 'Yes', price: { unit: 100 } },
+      { jtype: 'Player Jersey', sleeve: 'Short Sleeve', shorts: 'Yes', price: { unit: 100 } },
+      { jtype: 'keeper jersey', sleeve: 'Long Sleeve', shorts: 'No', price: { unit: 200 } }
+    ]
+  };
+  const lines = window.InvoiceBuilder.buildLines(quote);
+
+  window.TestRunner.assertEqual(lines.length, 2, 'Identical jerseys should share a line');
+  window.TestRunner.assertEqual(lines[0].quantity, 2);
+  window.TestRunner.assertEqual(lines[1].rate, 200);
+});
+
+window.TestRunner.test('Invoice: Discounts and tax', () => {
+  const invoice = window.InvoiceBuilder.computeTotals({
+    lines: [
+      { quantity: 2, rate: 100, discount: { type: 'percent', value: 10 } },
+      { quantity: 1, rate: 50, discount: { type: 'amount', value: 20 } }
+    ],
+    discount: { type: 'amount', value: 10 },
+    tax: { label: 'GST', rate: 8 }
+  });
+
+  window.TestRunner.assertEqual(invoice.lines[0].amount, 180);
+  window.TestRunner.assertEqual(invoice.lines[1].amount, 30);
+  window.TestRunner.assertEqual(invoice.subtotal, 210);
+  window.TestRunner.assertEqual(invoice.discountTotal, 10);
+  window.TestRunner.assertEqual(invoice.tax.amount, 16);
+  window.TestRunner.assertEqual(invoice.total, 216);
+});
+
+window.TestRunner.test('Invoice: Zoho payload with line and invoice discounts', async () => {
+  const zoho = await window.TestRunner.requireScript('zohoBooks', 'js/zoho-books.js');
+  const invoice = window.InvoiceBuilder.computeTotals({
+    orderId: 'ORD-1',
+    lines: [
+      { description: 'Player Jersey', quantity: 2, rate: 100, discount: { type: 'percent', value: 10 } },
+      { description: 'Keeper Jersey', quantity: 1, rate: 50, discount: { type: 'amount', value: 20 } }
+    ],
+    discount: { type: 'percent', value: 10 },
+    tax: { label: 'GST', rate: 8, zohoTaxId: 'TAX1' }
+  });
+  const sent = [];
+  const { makeRequest, findOrCreateContact } = zoho;
+  zoho.findOrCreateContact = async () => ({ contact_id: 'C1' });
+  zoho.makeRequest = async (path, options) => { sent.push(JSON.parse(options.body)); return { invoice: {} }; };
+  try {
+    await zoho.createInvoice({ ...invoice, invoiceId: 'INV-1', customerName: 'FC Test' });
+  } finally {
+    Object.assign(zoho, { makeRequest, findOrCreateContact });
+  }
+  const payload = sent[0];
+  const items = payload.line_items;
+
+  window.TestRunner.assertEqual(payload.discount_type, 'item_level', 'Zoho takes line or invoice discounts, not both');
+  window.TestRunner.assert(payload.discount === undefined, 'No separate invoice discount is sent');
+  window.TestRunner.assertEqual(items[0].discount, 38, 'Line 1: 20 own discount + 18 of the invoice discount');
+  window.TestRunner.assertEqual(items[1].discount, 23, 'Line 2: 20 own discount + the remaining 3');
+  const taxable = items.reduce((sum, item) => sum + item.rate * item.quantity - item.discount, 0);
+  window.TestRunner.assertEqual(taxable, invoice.taxable, 'Zoho\'s discounted subtotal matches the stored one');
+  window.TestRunner.assert(items.every(item => item.tax_id === 'TAX1'));
+});
+
+/**
+ * Payment tests
+ */
+window.TestRunner.test('Payments: Derived status from ledger', () => {
+  const ledger = window.PaymentLedger;
+  let invoice = { invoiceId: 'INV-TEST-001', total: 1000, status: 'Unpaid' };
+  window.TestRunner.assertEqual(ledger.getStatus(invoice), 'Unpaid');
+
+  const deposit = ledger.createPayment({ amount: 500, date: '2025-01-01', method: 'bank_transfer', reference: 'TRX1' });
+  invoice = Object.assign(invoice, ledger.addPayment(invoice, deposit));
+  window.TestRunner.assertEqual(invoice.status, 'Partially Paid');
+  window.TestRunner.assertEqual(invoice.balance, 500);
+
+  const balance = ledger.createPayment({ amount: 600, date: '2025-02-01', method: 'cash' });
+  invoice = Object.assign(invoice, ledger.addPayment(invoice, balance));
+  window.TestRunner.assertEqual(invoice.status, 'Overpaid');
+  window.TestRunner.assertEqual(ledger.getBalance(invoice), -100);
+
+  invoice = Object.assign(invoice, ledger.removePayment(invoice, balance.id));
+  window.TestRunner.assertEqual(invoice.payments.length, 1, 'Removed payment should leave the ledger');
+});
+
+window.TestRunner.test('Payments: Legacy paid invoices and validation', () => {
+  const ledger = window.PaymentLedger;
+  window.TestRunner.assertEqual(ledger.getStatus({ total: 300, status: 'Paid' }), 'Paid', 'Invoices marked paid before the ledger stay paid');
+
+  let threw = false;
+  try { ledger.createPayment({ amount: 0, date: '2025-01-01', method: 'cash' }); } catch (e) { threw = true; }
+  window.TestRunner.assert(threw, 'Zero payments should be rejected');
+});
+
+/**
+ * ID allocation tests
+ */
+window.TestRunner.test('IDs: Format and parse', () => {
+  const ids = window.IdAllocator;
+  const year = new Date().getFullYear();
+  const id = ids.format('invoice', year, 7);
+
+  window.TestRunner.assertEqual(id, `INV-${year}-007`);
+  window.TestRunner.assertEqual(ids.parse('invoice', year, id), 7);
+  window.TestRunner.assertEqual(ids.parse('invoice', year - 1, id), null, 'IDs from another year should not match');
+  window.TestRunner.assert(window.DataValidator.validateInput(id, 'invoiceId').isValid, 'Allocated invoice IDs should validate');
+  window.TestRunner.assert(window.DataValidator.validateInput(ids.format('invoice', 'all', 7), 'invoiceId').isValid, 'IDs without the year should validate');
+  window.TestRunner.assert(!window.DataValidator.validateInput('ORD-2025-007', 'invoiceId').isValid);
+});
+
+window.TestRunner.test('IDs: Local allocation skips existing IDs', async () => {
+  const ids = window.IdAllocator;
+  const year = ids.getPeriod('order');
+  const saved = localStorage.getItem(ids.localCounterKey);
+  const fakeDb = {
+    collection: () => ({
+      get: async () => ({ docs: [{ id: `ORD-${year}-04` }, { id: 'o_legacy' }] })
+    })
+  };
+
+  try {
+    localStorage.removeItem(ids.localCounterKey);
+    const first = await ids.allocateLocal('order', fakeDb);
+    const second = await ids.allocateLocal('order', fakeDb);
+    window.TestRunner.assertEqual(first, `ORD-${year}-05`);
+    window.TestRunner.assertEqual(second, `ORD-${year}-06`);
+  } finally {
+    if (saved === null) localStorage.removeItem(ids.localCounterKey);
+    else localStorage.setItem(ids.localCounterKey, saved);
+  }
+});
+
+/**
+ * Production sheet tests
+ */
+window.TestRunner.test('Production: Barcode patterns and checksum', () => {
+  const barcode = window.Barcode;
+  barcode.patterns.slice(0, 106).forEach((p, i) => {
+    const modules = p.split('').reduce((a, b) => a + Number(b), 0);
+    window.TestRunner.assertEqual(modules, 11, `Pattern ${i} should be 11 modules wide`);
+  });
+
+  // Start B (104) + 'A' (33 * 1) + 'B' (34 * 2) = 205, 205 % 103 = 102
+  window.TestRunner.assertEqual(barcode.encode('AB').join(','), '104,33,34,102,106');
+  window.TestRunner.assert(barcode.toSVG('ORD-2025-01').startsWith('<svg'), 'Should render an SVG');
+});
+
+window.TestRunner.test('Production: Group roster in print order', () => {
+  const order = {
+    id: 'ORD-2025-01',
+    material: 'Waffle',
+    jerseys: [
+      { jtype: 'Keeper Jersey', cat: 'Adult', size: 'L', sleeve: 'Long Sleeve', jname: 'Ali', jnum: '1', shorts: 'Yes' },
+      { jtype: 'Player Jersey', cat: 'Adult', size: 'M', sleeve: 'Short Sleeve', jname: 'Zain', jnum: '10', shorts: 'Yes' },
+      { jtype: 'Player Jersey', cat: 'Adult', size: 'M', sleeve: 'Short Sleeve', jname: 'Adam', jnum: '7', shorts: 'No' },
+      { jtype: 'Player Jersey', cat: 'Adult', size: 'S', sleeve: 'Short Sleeve', jname: 'Hassan', jnum: '7', shorts: 'Yes' }
+    ]
+  };
+  const sheet = window.ProductionSheet.build(order);
+
+  window.TestRunner.assertEqual(sheet.groups.length, 3);
+  window.TestRunner.assertEqual(sheet.groups[0].size, 'S', 'Player jerseys come first, smallest size first');
+  window.TestRunner.assertEqual(sheet.groups[1].jerseys.map(j => j.jnum).join(','), '7,10', 'Jerseys sort by number');
+  window.TestRunner.assertEqual(sheet.groups[2].typeLabel, 'Keeper Jersey');
+  window.TestRunner.assertEqual(sheet.summary.shortsYes, 3);
+  window.TestRunner.assertEqual(sheet.summary.longSleeve, 1);
+  window.TestRunner.assertEqual(sheet.summary.duplicateNumbers.join(','), '7');
+});
+
+/**
+ * Size run report tests
+ */
+window.TestRunner.test('Reports: Join, filter and total size runs', async () => {
+  const report = await window.TestRunner.requireScript('SizeRunReport', 'js/size-run-report.js');
+  const orders = report.join(
+    [
+      { id: 'A', material: 'Mesh', status: 'in_print', createdAt: '2025-03-01T10:00:00Z' },
+      { id: 'B', material: 'Mesh', status: 'delivered', createdAt: '2025-03-02T10:00:00Z' },
+      { id: 'C', material: 'Mesh', status: 'awaiting_roster', quantity: 12, createdAt: '2025-03-03T10:00:00Z' }
+    ],
+    [
+      { id: 'A', jerseys: [
+        { cat: 'Adult', size: 'L', sleeve: 'Short Sleeve', shorts: 'Yes' },
+        { cat: 'Adult', size: 'L', sleeve: 'Short Sleeve', shorts: 'Yes' },
+        { cat: 'Kids', size: 'S', sleeve: 'Short Sleeve', shorts: 'No' }
+      ] },
+      { id: 'B', jerseys: [{ cat: 'Adult', size: 'L', sleeve: 'Short Sleeve', shorts: 'Yes' }] }
+    ]
+  );
+
+  const open = report.aggregate(report.filter(orders, { status: 'open' }));
+  window.TestRunner.assertEqual(open.rows[0].quantity, 2, 'Delivered orders are not pending');
+  window.TestRunner.assertEqual(open.totalJerseys, 3);
+  window.TestRunner.assertEqual(open.awaitingRoster.quantity, 12, 'Orders without rosters are counted by quantity');
+
+  const all = report.aggregate(report.filter(orders, { status: 'all', to: '2025-03-02' }));
+  window.TestRunner.assertEqual(all.rows[0].quantity, 3);
+  window.TestRunner.assertEqual(all.rows[0].orderCount, 2);
+  window.TestRunner.assert(report.toCSV(all.rows).startsWith('"Material","Size Category"'), 'CSV should start with the header row');
+  const csv = report.toCSV([{ material: '=HYPERLINK("x")', cat: '-1', size: '@M', sleeve: '+', shorts: 'Yes', quantity: 2, orderCount: 1 }]);
+  window.TestRunner.assert(csv.split('\n')[1].startsWith(`"'=HYPERLINK(""x"")","'-1","'@M","'+","Yes"`), 'Formula-like cells are neutralised');
+});
+
+/**
+ * Roster import tests
+ */
+window.TestRunner.test('Roster import: Parse, map and normalize rows', async () => {
+  const importer = await window.TestRunner.requireScript('RosterImport', 'js/roster-import.js');
+  const rows = importer.parseDelimited('Name,No.,Type,Size,Category,Sleeve,Shorts\n"Smith, J",7,GK,xxl,adult,long,y\nALI,8,player,M,Adult,SS,no\n');
+  const detected = importer.detectMapping(rows);
+  const jerseys = importer.toJerseys(rows, detected.mapping, detected.hasHeader);
+
+  window.TestRunner.assert(detected.hasHeader, 'Header row should be detected');
+  window.TestRunner.assertEqual(jerseys.length, 2);
+  window.TestRunner.assertEqual(jerseys[0].jname, 'Smith, J', 'Quoted commas stay in the cell');
+  window.TestRunner.assertEqual(jerseys[0].jtype, 'Keeper Jersey');
+  window.TestRunner.assertEqual(jerseys[0].size, '2XL');
+  window.TestRunner.assertEqual(jerseys[1].sleeve, 'Short Sleeve');
+  window.TestRunner.assertEqual(jerseys[1].shorts, 'No');
+});
+
+window.TestRunner.test('Roster import: Pasted rows without a header', async () => {
+  const importer = await window.TestRunner.requireScript('RosterImport', 'js/roster-import.js');
+  const rows = importer.parseDelimited('Player\tALI\t7\tAdult\tM\tShort\tYes\nKeeper\tBOB\t7\tAdult\tL\tLong\tMaybe');
+  const detected = importer.detectMapping(rows);
+  const jerseys = importer.toJerseys(rows, detected.mapping, detected.hasHeader);
+  const result = importer.validate(jerseys, 1, {});
+
+  window.TestRunner.assert(!detected.hasHeader, 'Data rows should not be taken as a header');
+  window.TestRunner.assert(!result.isValid);
+  window.TestRunner.assert(!!result.countError, 'More rows than the order quantity should be flagged');
+  window.TestRunner.assertEqual(result.errors.map(e => e.field).join(','), 'jnum,shorts', 'Duplicate numbers and unknown options are flagged');
+});
+
+/**
+ * Client link tests
+ */
+window.TestRunner.test('Client links: Tokens and validation', () => {
+  const links = window.ClientLinks;
+  const now = Date.now();
+  const token = links.generateToken();
+
+  window.TestRunner.assert(/^[0-9a-f]{48}$/.test(token), 'Tokens should be 24 random bytes in hex');
+  window.TestRunner.assert(token !== links.generateToken(), 'Tokens should not repeat');
+  window.TestRunner.assert(links.validate({ orderId: 'ORD-1', expiresAt: now + 1000 }, 'ORD-1', now).valid);
+  window.TestRunner.assertEqual(links.validate({ orderId: 'ORD-1', expiresAt: now + 1000 }, 'ORD-2', now).reason, 'mismatch');
+  window.TestRunner.assertEqual(links.validate({ orderId: 'ORD-1', expiresAt: now - 1 }, 'ORD-1', now).reason, 'expired');
+  window.TestRunner.assertEqual(links.validate({ orderId: 'ORD-1', expiresAt: now + 1000, revoked: true }, 'ORD-1', now).reason, 'revoked');
+  window.TestRunner.assertEqual(links.getState({ clientLink: { token, expiresAt: now + 1000 } }, now), 'active');
+});
+
+window.TestRunner.test('Client links: Roster patch only carries roster fields', () => {
+  const patch = window.ClientLinks.buildRosterPatch('abc', { jerseys: [], submittedAt: '2025-01-01', customerName: 'Changed', quantity: 99 });
+  window.TestRunner.assertEqual(Object.keys(patch).sort().join(','), 'clientToken,jerseys,submittedAt');
+});
+
+window.TestRunner.test('Client links: Resubmit after a conflict, then request changes', async () => {
+  const links = window.ClientLinks;
+  const services = window.firebaseServices;
+  // Staff saved version 4 (and refreshed the link) after the client opened the form at version 3
+  const docs = {
+    'orders/ORD-1': { version: 4, status: 'awaiting_roster', quantity: 2 },
+    'orderDetails/ORD-1': { version: 4 },
+    'clientLinks/tok': { orderId: 'ORD-1', order: { customerName: 'Male FC', status: 'awaiting_roster', quantity: 2, version: 4 } }
+  };
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  // Judges writes as firestore.rules does a token holder's: the roster goes to the order once, as its next version;
+  // the link snapshot copies the saved roster and version, and only ever marks a filed change request pending
+  const check = (path, data) => {
+    const current = docs[path] || {};
+    const order = docs['orders/ORD-1'];
+    if (path.startsWith('clientLinks/')) {
+      const changed = Object.keys(data.order).filter(key => !same(data.order[key], current.order[key]));
+      if (changed.some(key => !['jerseys', 'submittedAt', 'status', 'version', 'lastRevision'].includes(key))) throw new Error('Snapshot write denied');
+      if (changed.some(key => key !== 'lastRevision') && !['jerseys', 'submittedAt', 'status', 'version'].every(key => same(data.order[key], order[key]))) {
+        throw new Error('Snapshot write denied: not the saved order');
+      }
+      const mark = data.order.lastRevision;
+      if (changed.includes('lastRevision') && !(mark.status === 'pending' && (docs[`rosterRevisions/${mark.id}`] || {}).status === 'pending')) {
+        throw new Error('Snapshot write denied: revision status');
+      }
+    } else if (/^(orders|orderDetails)\//.test(path)) {
+      if (order.submittedAt) throw new Error('Roster write denied: already submitted');
+      if (data.version !== (Number(current.version) || 0) + 1) throw new Error('Roster write denied: stale version');
+    }
+  };
+  const apply = (path, data, options) => {
+    docs[path] = options && options.merge ? window.LocalFirestore.deepMerge(docs[path] || {}, data) : data;
+  };
+  const ref = (name, id) => ({
+    get: async () => ({ id, exists: !!docs[`${name}/${id}`], data: () => docs[`${name}/${id}`] }),
+    set: async (data, options) => { check(`${name}/${id}`, data); apply(`${name}/${id}`, data, options); },
+    path: `${name}/${id}`
+  });
+  const fakeDb = {
+    collection: name => ({ doc: id => ref(name, id) }),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (target, data, options) => writes.push([target.path, data, options]),
+        commit: async () => {
+          writes.forEach(([path, data]) => check(path, data));
+          writes.forEach(args => apply(...args));
+        }
+      };
+    }
+  };
+  const roster = [{ jname: 'ALI', jnum: '7' }, { jname: 'OMAR', jnum: '9' }];
+  const submit = baseVersion => links.submitRoster('tok', 'ORD-1', { jerseys: roster, submittedAt: new Date().toISOString(), status: 'roster_received' }, { baseVersion });
+  const failure = promise => promise.then(() => null, error => error);
+
+  try {
+    window.firebaseServices = { ...services, db: fakeDb };
+    const stale = await failure(submit(3));
+    window.TestRunner.assertEqual(stale && stale.code, 'conflict', 'A submit against an older version is a conflict');
+    window.TestRunner.assertEqual(stale.current.version, 4, 'The conflict carries the current link snapshot');
+
+    const saved = await submit(window.OrderRepository.versionOf(stale.current));
+    window.TestRunner.assertEqual(saved.version, 5);
+    window.TestRunner.assertEqual(docs['clientLinks/tok'].order.version, 5, 'The link snapshot moves to the saved version');
+    window.TestRunner.assertEqual(docs['orders/ORD-1'].jerseys.length, 2);
+
+    const again = await failure(submit(5));
+    window.TestRunner.assert(again && again.code !== 'conflict', 'A submitted roster cannot be written again');
+
+    const snapshot = { ...docs['clientLinks/tok'].order, id: 'ORD-1' };
+    const request = await window.RosterRevisions.createRequest('tok', snapshot, [roster[0], { ...roster[1], jnum: '10' }]);
+    window.TestRunner.assertEqual(docs['clientLinks/tok'].order.lastRevision.status, 'pending', 'The change request is marked on the link');
+    const approval = await failure(ref('clientLinks', 'tok').set({ order: { lastRevision: { id: request.id, status: 'approved' } } }, { merge: true }));
+    window.TestRunner.assert(!!approval, 'Only staff approve requests');
+  } finally {
+    window.firebaseServices = services;
+  }
+});
+
+window.TestRunner.test('Revisions: Per-jersey diff', () => {
+  const revisions = window.RosterRevisions;
+  const before = [
+    { jtype: 'Player Jersey', jname: 'ALI', jnum: '7', cat: 'Adult', size: 'M', sleeve: 'Short Sleeve', shorts: 'Yes' },
+    { jtype: 'Player Jersey', jname: 'OMAR', jnum: 9, cat: 'Adult', size: 'L', sleeve: 'Short Sleeve', shorts: 'Yes' }
+  ];
+  const after = [
+    { ...before[0], size: 'L' },
+    { ...before[1], jnum: '9' },
+    { jtype: 'Keeper Jersey', jname: 'SAM', jnum: '1', cat: 'Adult', size: 'XL', sleeve: 'Long Sleeve', shorts: 'No' }
+  ];
+  const diff = revisions.diff(before, after);
+
+  window.TestRunner.assertEqual(diff.length, 2, 'Number 9 vs "9" is not a change');
+  window.TestRunner.assertEqual(diff[0].type, 'changed');
+  window.TestRunner.assertEqual(JSON.stringify(diff[0].changes), JSON.stringify([{ field: 'size', from: 'M', to: 'L' }]));
+  window.TestRunner.assertEqual(diff[1].type, 'added');
+  window.TestRunner.assertEqual(diff[1].jersey, 3);
+  window.TestRunner.assertEqual(revisions.summarize(diff), '1 jersey changed, 1 added');
+  window.TestRunner.assertEqual(revisions.diff(before, before).length, 0);
+});
+
+window.TestRunner.test('Revisions: Review against the current roster', async () => {
+  const revisions = window.RosterRevisions;
+  const jersey = (jname, jnum) => ({ jtype: 'Player Jersey', jname, jnum, cat: 'Adult', size: 'M', sleeve: 'Short Sleeve', shorts: 'Yes' });
+  const base = [jersey('ALI', '7'), jersey('OMAR', '9')];
+  const revision = { id: 'rev_1', orderId: 'ORD-1', status: 'pending', baseJerseys: base, jerseys: [jersey('ALI', '7'), jersey('OMAR', '10')], diff: [] };
+
+  const fresh = revisions.review(revision, { jerseys: base });
+  window.TestRunner.assertEqual(revisions.summarize(fresh.diff), '1 jersey changed', 'The diff is recomputed, not taken from the request');
+  window.TestRunner.assert(!fresh.stale && fresh.errors.length === 0);
+
+  const moved = { id: 'ORD-1', version: 3, jerseys: [jersey('ALI', '8'), jersey('OMAR', '9')] };
+  window.TestRunner.assert(revisions.review(revision, moved).stale, 'A roster edited since the request makes it stale');
+  const refused = await revisions.approve(revision, moved).then(() => null, error => error);
+  window.TestRunner.assert(refused && /changed since/.test(refused.message), 'Stale requests cannot be approved');
+
+  const clash = { ...revision, jerseys: [jersey('ALI', '7'), jersey('OMAR', '7')] };
+  window.TestRunner.assertEqual(revisions.review(clash, { jerseys: base }).errors[0].field, 'jnum', 'The roster rules apply to the request');
+});
+
+window.TestRunner.test('Revisions: Roster locks once in production', () => {
+  const workflow = window.OrderWorkflow;
+  window.TestRunner.assert(!workflow.isRosterLocked({ status: 'roster_received' }));
+  window.TestRunner.assert(!workflow.isRosterLocked({ status: 'in_design' }));
+  window.TestRunner.assert(workflow.isRosterLocked({ status: 'in_print' }));
+  window.TestRunner.assert(workflow.isRosterLocked({ status: 'delivered' }));
+});
+
+window.TestRunner.test('Audit log: Field-level changes', () => {
+  const audit = window.AuditLog;
+  const before = { quantity: 10, material: 'Dri-fit', jerseys: [{ jname: 'ALI', size: 'M' }], statusHistory: [] };
+  const changes = audit.diff(before, { quantity: 12, jerseys: [{ jname: 'ALI', size: 'L' }], statusHistory: [{ to: 'in_design' }] });
+
+  window.TestRunner.assertEqual(JSON.stringify(changes), JSON.stringify([
+    { field: 'quantity', from: 10, to: 12 },
+    { field: 'jerseys.0.size', from: 'M', to: 'L' }
+  ]), 'Merge writes only compare written fields, nested values by path');
+  window.TestRunner.assertEqual(audit.diff(null, { quantity: 1 }).length, 1, 'Creates log every field');
+  window.TestRunner.assertEqual(audit.diff({ quantity: 1, material: 'Mesh' }, null).length, 2, 'Deletes log every field');
+  window.TestRunner.assertEqual(audit.diff(before, { quantity: 10 }).length, 0);
+});
+
+window.TestRunner.test('Audit log: Client actor', () => {
+  const actor = window.AuditLog.getActor('abc123');
+  window.TestRunner.assertEqual(actor.type, 'client');
+  window.TestRunner.assertEqual(actor.id, 'abc123');
+});
+
+window.TestRunner.test('Roles: Permission matrix and page access', () => {
+  const roles = window.Roles;
+  window.TestRunner.assertEqual(roles.normalize('User'), 'none', 'Legacy sessions fall back to the no-access default role');
+  window.TestRunner.assert(!roles.canAccessPage('index.html', 'none'), 'Accounts without a role open nothing');
+  window.TestRunner.assertEqual(roles.normalize('Manager'), 'manager');
+  window.TestRunner.assert(roles.can('orders.delete', 'manager'));
+  window.TestRunner.assert(!roles.can('orders.delete', 'staff'), 'Only managers delete orders');
+  window.TestRunner.assert(!roles.can('payments.record', 'staff'), 'Only managers record payments');
+  window.TestRunner.assert(roles.can('orders.status', 'production'));
+  window.TestRunner.assert(!roles.can('orders.edit', 'production'));
+  window.TestRunner.assert(!roles.can('orders.status', 'viewer'));
+  window.TestRunner.assert(roles.canAccessPage('orders.html', 'viewer'));
+  window.TestRunner.assert(!roles.canAccessPage('order.html', 'viewer'));
+  window.TestRunner.assert(roles.canAccessPage('settings.html', 'staff'), 'Staff open settings for their own preferences');
+  window.TestRunner.assert(!roles.can('settings.manage', 'staff'), 'Only managers edit pricing');
+  window.TestRunner.assert(!roles.can('users.manage', 'manager'));
+});
+
+window.TestRunner.test('Staff users: Invite state and owner lockout', () => {
+  const staff = window.StaffUsers;
+  const now = Date.now();
+  window.TestRunner.assert(staff.validateInvite({ status: 'pending', expiresAt: now + 1000 }, now).valid);
+  window.TestRunner.assertEqual(staff.validateInvite({ status: 'pending', expiresAt: now - 1 }, now).reason, 'expired');
+  window.TestRunner.assertEqual(staff.validateInvite({ status: 'revoked', expiresAt: now + 1000 }, now).reason, 'revoked');
+  window.TestRunner.assertEqual(staff.validateInvite({ status: 'accepted', expiresAt: now + 1000 }, now).reason, 'accepted');
+  window.TestRunner.assertEqual(staff.validateInvite(null).reason, 'missing');
+  window.TestRunner.assertEqual(staff.normalizeEmail(' Ana@Example.COM '), 'ana@example.com');
+
+  const users = [{ uid: 'a', role: 'owner' }, { uid: 'b', role: 'owner', disabled: true }, { uid: 'c', role: 'staff' }];
+  window.TestRunner.assert(staff.wouldRemoveLastOwner(users, 'a', { role: 'manager' }), 'Demoting the only active owner is blocked');
+  window.TestRunner.assert(staff.wouldRemoveLastOwner(users, 'a', { disabled: true }), 'Disabling the only active owner is blocked');
+  window.TestRunner.assert(!staff.wouldRemoveLastOwner(users, 'c', { role: 'owner' }));
+  window.TestRunner.assert(!staff.wouldRemoveLastOwner(users, 'b', { disabled: false }));
+  window.TestRunner.assert(!window.Roles.canAccessPage('users.html', 'manager'));
+});
+
+window.TestRunner.test('Customers: Name matching and order migration plan', () => {
+  const customers = window.Customers;
+  window.TestRunner.assertEqual(customers.normalizeName('F.C. Male'), customers.normalizeName('FC  male'));
+  window.TestRunner.assertEqual(customers.normalizeName('Club-Eagles'), 'club eagles');
+
+  const existing = [{ id: 'cust_1', name: 'Maziya S&RC', nameKey: customers.normalizeName('Maziya S&RC'), contacts: [{ email: 'coach@maziya.mv', mobile: '' }] }];
+  const orders = [
+    { id: 'ORD-1', customerName: 'FC Male', email: 'a@fc.mv', createdAt: '2024-01-01' },
+    { id: 'ORD-2', customerName: 'F.C. Male', mobile: '7771234', createdAt: '2024-02-01' },
+    { id: 'ORD-3', customerName: 'maziya s rc', email: 'coach@maziya.mv', createdAt: '2024-03-01' },
+    { id: 'ORD-4', customerName: 'Linked', customerId: 'cust_9' }
+  ];
+  const plan = customers.planMigration(orders, existing);
+  window.TestRunner.assertEqual(plan.creates.length, 1, 'Spelling variants share one new customer');
+  window.TestRunner.assertEqual(plan.creates[0].contacts.length, 2, 'Contacts from each order are kept');
+  window.TestRunner.assertEqual(plan.links.length, 3, 'Already linked orders are skipped');
+  window.TestRunner.assertEqual(plan.links.find(l => l.orderId === 'ORD-3').customerId, 'cust_1');
+  window.TestRunner.assertEqual(plan.updates.length, 0, 'Known contacts are not re-added');
+});
+
+window.TestRunner.test('Customer merge: Scoring and record merge', () => {
+  const merge = window.CustomerMerge;
+  const a = { id: 'cust_a', name: 'FC Male', contacts: [{ name: 'Ali', email: 'ali@fc.mv', mobile: '777-1234' }], notes: 'Prefers navy' };
+  const b = { id: 'cust_b', name: 'Male F.C.', contacts: [{ name: '', email: '', mobile: '7771234' }], notes: '' };
+  const c = { id: 'cust_c', name: 'Maziya Sports', contacts: [{ email: 'office@maziya.mv' }] };
+
+  window.TestRunner.assert(merge.nameSimilarity('FC Male', 'Male F.C.') > 0.9, 'Word order and punctuation are ignored');
+  const pair = merge.scorePair(a, b);
+  window.TestRunner.assert(pair.reasons.includes('Same mobile'), 'Shared mobile is reported');
+  window.TestRunner.assert(pair.score >= merge.threshold);
+  window.TestRunner.assert(merge.scorePair(a, c).score < merge.threshold, 'Unrelated customers are not candidates');
+
+  window.TestRunner.assertEqual(merge.findCandidates([a, b, c]).length, 1);
+  window.TestRunner.assertEqual(merge.findCandidates([{ ...a, distinctFrom: ['cust_b'] }, b, c]).length, 0, 'Pairs marked distinct are skipped');
+
+  const merged = merge.mergeRecords(a, { ...b, contacts: [...b.contacts, { email: 'ALI@fc.mv', mobile: '7771234' }], notes: 'Away kit white' });
+  window.TestRunner.assertEqual(merged.name, 'FC Male');
+  window.TestRunner.assertEqual(merged.contacts.length, 2, 'Duplicate contacts are dropped');
+  window.TestRunner.assertEqual(merged.notes, 'Prefers navy\n\nAway kit white');
+});
+
+window.TestRunner.test('Customer statement: Balances and date range', () => {
+  const statement = window.CustomerStatement;
+  const orders = [
+    { id: 'ORD-1', customerId: 'cust_a', createdAt: '2024-01-05T08:00:00.000Z' },
+    { id: 'ORD-2', customerId: 'cust_a', createdAt: '2024-03-10T08:00:00.000Z' }
+  ];
+  const invoices = statement.invoicesFor('cust_a', orders, [
+    { id: 'INV-1', orderId: 'ORD-1', total: 1000, issuedAt: '2024-01-06T08:00:00.000Z', payments: [{ id: 'p1', amount: 400, date: '2024-01-20', method: 'cash' }, { id: 'p2', amount: 600, date: '2024-03-01', method: 'card' }] },
+    { id: 'INV-2', orderId: 'ORD-2', customerId: 'cust_a', total: 500, issuedAt: '2024-03-11T08:00:00.000Z', payments: [{ id: 'p3', amount: 200, date: '2024-03-11', method: 'cash' }] },
+    { id: 'INV-3', orderId: 'ORD-2', customerId: 'cust_b', total: 900, issuedAt: '2024-03-11T08:00:00.000Z' }
+  ]);
+  window.TestRunner.assertEqual(invoices.length, 2, 'Legacy invoices match by order; linked invoices by customer');
+
+  const summary = statement.summarize(orders, invoices, new Date('2024-03-21T08:00:00.000Z'));
+  window.TestRunner.assertEqual(summary.lifetimeValue, 1500);
+  window.TestRunner.assertEqual(summary.outstanding, 300);
+  window.TestRunner.assertEqual(summary.openInvoices.length, 1);
+  window.TestRunner.assertEqual(summary.openInvoices[0].ageDays, 10);
+  window.TestRunner.assertEqual(summary.lastOrderDate, '2024-03-10T08:00:00.000Z');
+
+  const range = statement.build(invoices, '2024-02-01', '2024-03-31');
+  window.TestRunner.assertEqual(range.opening, 600, 'Invoice and payment before the range roll into the opening balance');
+  window.TestRunner.assertEqual(range.entries.map(e => e.type).join(','), 'payment,invoice,payment');
+  window.TestRunner.assertEqual(range.closing, 300);
+  window.TestRunner.assertEqual(statement.build(invoices).closing, summary.outstanding, 'Full history closes at the outstanding balance');
+});
+
+window.TestRunner.test('Messaging: Templates and recipients', () => {
+  const messaging = window.Messaging;
+  window.TestRunner.assertEqual(messaging.render('Hi {{ customerName }}, {{unknown}}order {{orderId}}', { customerName: 'FC Male', orderId: 'ORD-1' }), 'Hi FC Male, order ORD-1');
+
+  const order = { id: 'ORD-1', customerName: 'FC Male', email: 'coach@fcmale.mv', mobile: '777 1234', quantity: 12 };
+  const email = messaging.compose(order, null, 'order_received', 'email');
+  window.TestRunner.assertEqual(email.to, 'coach@fcmale.mv');
+  window.TestRunner.assertEqual(email.subject, 'Order ORD-1 received');
+  window.TestRunner.assert(email.body.includes('12 jerseys'), 'Order variables are filled in');
+
+  const sms = messaging.compose(order, null, 'roster_request', 'sms');
+  window.TestRunner.assertEqual(sms.to, '777 1234');
+  window.TestRunner.assertEqual(sms.subject, '', 'Only email has a subject');
+  const missing = messaging.missingVariables(messaging.getTemplate('roster_request'), messaging.orderVariables(order, null));
+  window.TestRunner.assertEqual(missing.join(','), 'clientLink', 'Orders without an active link are flagged');
+
+  let error = null;
+  try { messaging.validate({ ...sms, to: '' }); } catch (e) { error = e.message; }
+  window.TestRunner.assertEqual(error, 'No mobile number for this order');
+});
+
+window.TestRunner.test('Notification center: Per-user read and clear state', () => {
+  const center = window.NotificationCenter;
+  const items = [
+    { id: 'n3', title: 'Roster Change Requested', at: '2024-05-03T10:00:00.000Z', orderId: 'ORD-3' },
+    { id: 'n2', title: 'Client Submission Received', at: '2024-05-02T10:00:00.000Z', orderId: 'ORD-2' },
+    { id: 'n1', title: 'Client Submission Received', at: '2024-05-01T10:00:00.000Z' }
+  ];
+  let state = center.emptyState();
+  window.TestRunner.assertEqual(center.unreadCount(items, state), 3);
+
+  state = center.withRead(state, 'n2');
+  window.TestRunner.assert(center.isRead(items[1], state) && !center.isRead(items[0], state), 'Only the clicked notification is read');
+  window.TestRunner.assertEqual(center.unreadCount(items, state), 2);
+
+  state = center.withAllRead(state, items.slice(1));
+  window.TestRunner.assertEqual(state.readBefore, '2024-05-02T10:00:00.000Z', 'Mark-all stops at the newest notification seen');
+  window.TestRunner.assertEqual(state.readIds.length, 0, 'Covered IDs are pruned');
+  window.TestRunner.assertEqual(center.unreadCount(items, state), 1, 'A notification arriving later stays unread');
+
+  state = center.withCleared(state, items);
+  window.TestRunner.assertEqual(center.visible(items, state).length, 0);
+  window.TestRunner.assertEqual(center.visible(items.concat({ id: 'n4', at: '2024-05-04T10:00:00.000Z' }), state).length, 1, 'New notifications show after a clear');
+
+  window.TestRunner.assertEqual(center.linkFor(items[0]), 'orders.html?order=ORD-3');
+  window.TestRunner.assertEqual(center.linkFor(items[2]), null);
+});
+
+window.TestRunner.test('Push notifications: Subscription records and keys', async () => {
+  const push = window.PushNotifications;
+  const key = push.urlBase64ToUint8Array('BPz-_w');
+  window.TestRunner.assertEqual(Array.from(key).join(','), '4,252,254,255', 'URL-safe base64 without padding decodes');
+
+  const subscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: 'BPz', auth: 'xyz' }, expirationTime: null };
+  const record = push.buildRecord(subscription, 'uid_1', ['invoice_paid', 'unknown_event']);
+  window.TestRunner.assertEqual(record.uid, 'uid_1');
+  window.TestRunner.assertEqual(record.events.join(','), 'invoice_paid', 'Unknown events are dropped');
+  window.TestRunner.assertEqual(record.keys.auth, 'xyz');
+
+  const id = await push.subscriptionId(subscription.endpoint);
+  window.TestRunner.assertEqual(id.length, 64);
+  window.TestRunner.assertEqual(id, await push.subscriptionId(subscription.endpoint), 'The same endpoint always maps to the same doc');
+});
+
+window.TestRunner.test('Repositories: Canonical order shape', () => {
+  const orders = window.OrderRepository;
+  const summary = { id: 'ORD-1', customerId: 'cust_a', customerName: 'Male FC', quantity: 12, clientLink: { token: 't' }, createdAt: '2024-05-01T10:00:00.000Z' };
+  const details = { id: 'ORD-1', customerName: 'Male F.C.', quantity: '10', notes: 'Rush' };
+
+  const order = orders.toOrder('ORD-1', summary, details);
+  window.TestRunner.assertEqual(order.customerName, 'Male FC', 'Summary fields win over details');
+  window.TestRunner.assertEqual(order.quantity, 12);
+  window.TestRunner.assertEqual(order.notes, 'Rush', 'Details add the fields the summary lacks');
+  window.TestRunner.assertEqual(order.clientLink.token, 't');
+  window.TestRunner.assertEqual(orders.toOrder('ORD-2', null, { quantity: '7' }).quantity, 7, 'Quantities are numbers');
+  window.TestRunner.assertEqual(orders.toOrder('ORD-3', null, null), null);
+
+  const joined = orders.join([summary, { id: 'ORD-2', quantity: 3 }], [details]);
+  window.TestRunner.assertEqual(joined.length, 2);
+  window.TestRunner.assertEqual(joined[1].id, 'ORD-2');
+
+  const built = orders.buildSummary({ customerId: 'cust_a', customerName: ' Male FC ', quantity: '5', material: 'Mesh', notes: 'x' });
+  window.TestRunner.assertEqual(built.customerName, 'Male FC');
+  window.TestRunner.assertEqual(built.quantity, 5);
+  window.TestRunner.assert(!('notes' in built) && !('createdAt' in built), 'Form extras and createdAt stay out of the summary');
+  window.TestRunner.assert(!('customerId' in orders.detailsFrom({ customerId: 'cust_a', notes: 'x' })), 'The customer link only lives on the summary');
+});
+
+window.TestRunner.test('Local Firestore: Queries and field writes', () => {
+  const local = window.LocalFirestore;
+  const docs = [
+    { id: 'a', status: 'Draft', createdAt: '2024-05-02', tags: ['rush'] },
+    { id: 'b', status: 'Paid', createdAt: '2024-05-03' },
+    { id: 'c', status: 'Draft', createdAt: '2024-05-01' },
+    { id: 'd', status: 'Draft' }
+  ];
+  const ids = query => local.runQuery(docs, query).map(d => d.id).join(',');
+
+  window.TestRunner.assertEqual(ids({ filters: [{ field: 'status', op: '==', value: 'Draft' }] }), 'a,c,d');
+  window.TestRunner.assertEqual(ids({ order: { field: 'createdAt', dir: 'desc' } }), 'b,a,c', 'Docs without the orderBy field are left out');
+  window.TestRunner.assertEqual(ids({ filters: [{ field: 'status', op: '!=', value: 'Paid' }], order: { field: 'createdAt', dir: 'asc' }, limit: 1 }), 'c');
+  window.TestRunner.assertEqual(ids({ filters: [{ field: 'status', op: 'in', value: ['Paid', 'Void'] }] }), 'b');
+  window.TestRunner.assertEqual(ids({ filters: [{ field: 'tags', op: 'array-contains', value: 'rush' }] }), 'a');
+
+  const merged = local.deepMerge({ clientLink: { token: 't', revoked: false }, notes: 'x' }, { clientLink: { revoked: true } });
+  window.TestRunner.assertEqual(merged.clientLink.token, 't', 'Merged sets keep nested fields');
+  window.TestRunner.assertEqual(merged.clientLink.revoked, true);
+  const updated = local.applyUpdate({ clientLink: { token: 't' } }, { 'clientLink.revoked': true, status: 'Paid' });
+  window.TestRunner.assertEqual(updated.clientLink.token, 't', 'Dotted update paths write one nested field');
+  window.TestRunner.assertEqual(updated.clientLink.revoked, true);
+  window.TestRunner.assertEqual(updated.status, 'Paid');
+});
+
 /**
  * Utility function to run tests
  */
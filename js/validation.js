@@ -9,8 +9,7 @@ class DataValidator {
       phone: /^[\+]?[1-9][\d]{0,15}$/,
       alphanumeric: /^[a-zA-Z0-9]+$/,
       name: /^[a-zA-Z\s\-'\.]+$/,
-      orderId: /^[a-zA-Z0-9_\-]+$/,
-      invoiceId: /^INV-\d{4}-\d{3}$/
+      orderId: /^[a-zA-Z0-9_\-]+$/
     };
   }
 
@@ -74,7 +73,7 @@ class DataValidator {
         break;
 
       case 'invoiceId':
-        if (!this.rules.invoiceId.test(result.value)) {
+        if (!this.getInvoiceIdPattern().test(result.value)) {
           result.isValid = false;
           result.errors.push('Invalid invoice ID format');
         }
@@ -175,8 +174,9 @@ class DataValidator {
       }
     }
 
+    const jerseyNumber = this.getJerseyNumberRange();
     if (orderData.jnum) {
-      const jnumResult = this.validateInput(orderData.jnum, 'number', { required: true, min: 0, max: 999 });
+      const jnumResult = this.validateInput(orderData.jnum, 'number', { required: true, min: jerseyNumber.min, max: jerseyNumber.max });
       if (!jnumResult.isValid) {
         errors.push(...jnumResult.errors.map(e => `Jersey Number: ${e}`));
       } else {
@@ -184,6 +184,16 @@ class DataValidator {
       }
     }
 
+    // Roster submitted by the client
+    if (Array.isArray(orderData.jerseys)) {
+      const rosterResult = this.validateRoster(orderData.jerseys, orderData.rosterRules);
+      if (!rosterResult.isValid) {
+        errors.push(...rosterResult.errors.map(e => `Jersey ${e.index + 1}: ${e.message}`));
+      } else {
+        validatedData.jerseys = orderData.jerseys;
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       data: validatedData,
@@ -191,6 +201,103 @@ class DataValidator {
     };
   }
 
+  /**
+   * Invoice ID pattern from the numbering config: the prefix, an optional year and at least `padding` digits
+   * (IDs issued before a change to yearlyReset stay valid)
+   */
+  getInvoiceIdPattern() {
+    const config = Object.assign({ prefix: 'INV', padding: 3 }, window.AppConfig && window.AppConfig.ids && window.AppConfig.ids.invoice);
+    const prefix = String(config.prefix).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${prefix}-(\\d{4}-)?\\d{${Math.max(1, Number(config.padding) || 1)},}$`);
+  }
+
+  /**
+   * Allowed jersey number range from config
+   */
+  getJerseyNumberRange() {
+    const config = window.AppConfig && window.AppConfig.validation && window.AppConfig.validation.jerseyNumber;
+    return { min: config ? config.min : 0, max: config ? config.max : 99 };
+  }
+
+  /**
+   * Roster rules for an order: config defaults overridden by the order's rosterRules
+   */
+  getRosterRules(overrides = {}) {
+    const config = (window.AppConfig && window.AppConfig.validation && window.AppConfig.validation.roster) || {};
+    const defaults = {
+      uniqueNumbers: true,
+      maxNameLength: 15,
+      nameCharset: 'print',
+      maxKeepers: null,
+      allowedCategories: ['Adult', 'Kids', 'Muslima'],
+      charsets: {}
+    };
+    const rules = Object.assign({}, defaults, config, overrides || {});
+    rules.jerseyNumber = this.getJerseyNumberRange();
+    rules.charsets = config.charsets || defaults.charsets;
+    return rules;
+  }
+
+  /**
+   * Validate a roster against roster rules
+   * @param {Array} jerseys - jersey objects as submitted from client.html
+   * @param {Object} overrides - per-order rosterRules
+   * @returns {{isValid: boolean, errors: Array<{index: number, field: string, message: string}>}}
+   */
+  validateRoster(jerseys, overrides = {}) {
+    const rules = this.getRosterRules(overrides);
+    const errors = [];
+    const add = (index, field, message) => errors.push({ index, field, message });
+    const charset = rules.charsets[rules.nameCharset];
+    const namePattern = charset && charset.pattern ? new RegExp(`^[${charset.pattern}]*$`) : null;
+    const numbers = new Map();
+    let keepers = 0;
+
+    (jerseys || []).forEach((jersey, index) => {
+      const j = jersey || {};
+      ['jtype', 'jname', 'jnum', 'cat', 'size', 'sleeve', 'shorts'].forEach(field => {
+        if (j[field] === undefined || j[field] === null || String(j[field]).trim() === '') {
+          add(index, field, 'This field is required');
+        }
+      });
+
+      const name = String(j.jname || '').trim();
+      if (name && rules.maxNameLength && name.length > rules.maxNameLength) {
+        add(index, 'jname', `Name must be at most ${rules.maxNameLength} characters`);
+      }
+      if (name && namePattern && !namePattern.test(name)) {
+        add(index, 'jname', `Name may only contain ${charset.label.toLowerCase()}`);
+      }
+
+      const num = String(j.jnum === undefined || j.jnum === null ? '' : j.jnum).trim();
+      if (num) {
+        const value = Number(num);
+        if (!/^\d+$/.test(num) || value < rules.jerseyNumber.min || value > rules.jerseyNumber.max) {
+          add(index, 'jnum', `Number must be a whole number from ${rules.jerseyNumber.min} to ${rules.jerseyNumber.max}`);
+        } else if (rules.uniqueNumbers) {
+          if (numbers.has(value)) add(index, 'jnum', `Number ${value} is already used by jersey ${numbers.get(value) + 1}`);
+          else numbers.set(value, index);
+        }
+      }
+
+      if (j.cat && Array.isArray(rules.allowedCategories) && !rules.allowedCategories.includes(j.cat)) {
+        add(index, 'cat', `${j.cat} sizes are not available for this order`);
+      }
+
+      if (j.jtype === 'Keeper Jersey') {
+        keepers++;
+        if (rules.maxKeepers !== null && rules.maxKeepers !== undefined && rules.maxKeepers !== '' && keepers > Number(rules.maxKeepers)) {
+          add(index, 'jtype', `At most ${rules.maxKeepers} Keeper Jersey${Number(rules.maxKeepers) === 1 ? '' : 's'} allowed`);
+        }
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Sanitize HTML content
    */
@@ -250,7 +250,8 @@ class ZohoBooksAPI {
 
   async createInvoice(invoiceData) {
     try {
-      const { customerName, email, mobile, total, orderId, invoiceId } = invoiceData;
+      const { customerName, email, mobile, orderId, invoiceId } = invoiceData;
+      const lineItems = this.buildLineItems(invoiceData);
 
       // Find or create contact
       const contact = await this.findOrCreateContact(customerName, email, mobile);
@@ -261,19 +262,24 @@ class ZohoBooksAPI {
         invoice_number: invoiceId,
         date: new Date().toISOString().split('T')[0],
         due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
-        line_items: [
-          {
-            item_id: '1', // You may need to create items in Zoho Books first
-            name: `Jersey Order - ${orderId}`,
-            description: `Custom jersey order for ${customerName}`,
-            rate: total || 0,
-            quantity: 1
-          }
-        ],
+        line_items: lineItems,
         notes: `Order ID: ${orderId}\nGenerated from Jersey OMS`,
         terms: 'Payment due within 30 days'
       };
 
+      // Line and whole-invoice discounts both travel on the lines (see buildLineItems), before tax as in the stored totals
+      if (lineItems.some(item => item.discount > 0)) {
+        zohoInvoice.discount_type = 'item_level';
+        zohoInvoice.is_discount_before_tax = true;
+      }
+
+      // A price override is Zoho's own after-tax adjustment rather than a negative line
+      const adjustment = this.buildAdjustment(invoiceData);
+      if (adjustment) {
+        zohoInvoice.adjustment = adjustment.amount;
+        zohoInvoice.adjustment_description = adjustment.description;
+      }
+
       const response = await this.makeRequest('/invoices', {
         method: 'POST',
         body: JSON.stringify(zohoInvoice)
@@ -286,6 +292,58 @@ class ZohoBooksAPI {
     }
   }
 
+  // Map stored invoice lines to Zoho line items (single line for invoices without lines)
+  // Taxed invoices need the Zoho tax ID from Settings; without it Zoho would book them untaxed, so the sync is refused.
+  // Zoho takes discounts per line or per invoice but not both, so the invoice discount is split across the lines by
+  // amount (the last line takes the rounding) and sent with each line's own discount as one amount.
+  buildLineItems(invoiceData) {
+    const { customerName, total, orderId, lines, tax } = invoiceData;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return [{
+        name: `Jersey Order - ${orderId}`,
+        description: `Custom jersey order for ${customerName}`,
+        rate: total || 0,
+        quantity: 1
+      }];
+    }
+
+    const taxId = tax && tax.rate > 0 ? tax.zohoTaxId : '';
+    if (tax && tax.rate > 0 && !taxId) {
+      const error = new Error(`Set the Zoho Books tax ID for ${tax.label || 'tax'} in Settings before syncing taxed invoices`);
+      error.code = 'zoho_tax_id';
+      throw error;
+    }
+    const builder = window.InvoiceBuilder;
+    const computed = builder.computeTotals({ ...invoiceData, lines: lines.filter(line => !line.adjustment) });
+    let remaining = computed.discountTotal;
+    return computed.lines.map((line, index) => {
+      const share = index === computed.lines.length - 1
+        ? remaining
+        : (computed.subtotal > 0 ? builder.round(computed.discountTotal * line.amount / computed.subtotal) : 0);
+      remaining = builder.round(remaining - share);
+      const item = {
+        name: line.description,
+        description: `Order ${orderId}`,
+        rate: line.rate,
+        quantity: line.quantity
+      };
+      const discount = builder.round(line.discountAmount + share);
+      if (discount > 0) item.discount = discount;
+      if (taxId) item.tax_id = taxId;
+      return item;
+    });
+  }
+
+  // Adjustment that brings Zoho's total (lines, discount and tax) to the stored total after a price override
+  buildAdjustment(invoiceData) {
+    const lines = Array.isArray(invoiceData.lines) ? invoiceData.lines : [];
+    const line = lines.find(l => l.adjustment);
+    if (!line) return null;
+    const builder = window.InvoiceBuilder;
+    const computed = builder.computeTotals({ ...invoiceData, lines: lines.filter(l => !l.adjustment) });
+    return { amount: builder.round(invoiceData.total - computed.total), description: line.description };
+  }
+
   async getInvoiceStatus(zohoInvoiceId) {
     try {
       const response = await this.makeRequest(`/invoices/${zohoInvoiceId}`);
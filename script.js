@@ -56,33 +56,61 @@
   }
 
   // Notifications & Profile helpers (shared across pages)
-  function loadNotifications(){ try { return JSON.parse(localStorage.getItem('notifications')||'[]'); } catch { return []; } }
-  function saveNotifications(list){ localStorage.setItem('notifications', JSON.stringify(list)); }
+  // The bell panel follows Firestore notifications through NotificationCenter; read and cleared marks are per user
+  let notifItems = [];
+  let notifState = null;
+  function escapeHtml(text){
+    return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
   function renderNotifications(){
     const listEl = document.getElementById('notifList');
     const dot = document.getElementById('notifDot');
-    if (!listEl) return;
-    const list = loadNotifications();
-    listEl.innerHTML = list.length ? list.map((n, idx) => (
-      `<li data-idx="${idx}" style="cursor:pointer; ${n.read?'' :'background: rgba(211,47,47,0.06);'}">
-        <span class="dot ${n.type||'info'}"></span>
+    const center = window.NotificationCenter;
+    if (!listEl || !center) return;
+    const state = notifState || center.emptyState();
+    const list = center.visible(notifItems, state);
+    listEl.innerHTML = list.length ? list.map(n => {
+      const read = center.isRead(n, state);
+      return `<li data-id="${escapeHtml(n.id)}" style="cursor:pointer; ${read ? '' : 'background: rgba(211,47,47,0.06);'}">
+        <span class="dot ${escapeHtml(n.type || 'info')}"></span>
         <div>
-          <div style="font-weight:600;">${n.title||'Notification'}</div>
-          <div class="muted" style="font-size:12px;">${n.message||''}</div>
+          <div style="font-weight:${read ? 500 : 600};">${escapeHtml(n.title || 'Notification')}</div>
+          <div class="muted" style="font-size:12px;">${escapeHtml(n.message)}</div>
+          ${n.at ? `<div class="muted" style="font-size:11px;">${escapeHtml(new Date(n.at).toLocaleString())}</div>` : ''}
         </div>
-      </li>`)).join('') : '<li class="muted" style="padding:8px 12px;">No notifications</li>';
-    const unread = list.some(n => !n.read);
-    if (dot) dot.style.display = unread ? 'inline-block' : 'none';
+      </li>`;
+    }).join('') : '<li class="muted" style="padding:8px 12px;">No notifications</li>';
+    if (dot) dot.style.display = center.unreadCount(notifItems, state) > 0 ? 'inline-block' : 'none';
 
-    // click to toggle read
-    listEl.querySelectorAll('li[data-idx]').forEach(li => {
+    // click to mark read and open the related order
+    listEl.querySelectorAll('li[data-id]').forEach(li => {
       li.addEventListener('click', () => {
-        const i = Number(li.getAttribute('data-idx'));
-        const items = loadNotifications();
-        if (items[i]) { items[i].read = !items[i].read; saveNotifications(items); renderNotifications(); }
+        const item = notifItems.find(n => n.id === li.getAttribute('data-id'));
+        if (!item) return;
+        center.markRead(item.id).catch(e => console.warn('Failed to mark notification read:', e));
+        const link = center.linkFor(item);
+        if (link) window.location.href = link;
       });
     });
   }
+  function startNotifications(){
+    const center = window.NotificationCenter;
+    if (!center) return;
+    let attempts = 0;
+    const iv = setInterval(function(){
+      attempts++;
+      if (window.firebaseServices && window.firebaseServices.db) {
+        clearInterval(iv);
+        try {
+          center.subscribe(function(items, state){ notifItems = items; notifState = state; renderNotifications(); });
+        } catch (e) {
+          console.warn('Notifications unavailable:', e);
+        }
+      } else if (attempts > 100) {
+        clearInterval(iv);
+      }
+    }, 100);
+  }
 
   function setupNotifAndProfile(){
     const notifBtn = document.getElementById('notifBtn');
@@ -108,24 +136,19 @@
         }
       });
       if (notifMarkAll) notifMarkAll.addEventListener('click', () => {
-        const list = loadNotifications();
-        list.forEach(n => n.read = true);
-        saveNotifications(list);
-        renderNotifications();
+        if (window.NotificationCenter) window.NotificationCenter.markAllRead().catch(e => console.warn('Failed to mark notifications read:', e));
       });
       if (notifClear) notifClear.addEventListener('click', () => {
-        saveNotifications([]);
-        renderNotifications();
+        if (window.NotificationCenter) window.NotificationCenter.clear().catch(e => console.warn('Failed to clear notifications:', e));
       });
-      // helper to add a sample notification (exposed)
-      window.addNotification = function(title, message, type='info'){
-        const list = loadNotifications();
-        list.unshift({ title, message, type, read: false, at: new Date().toISOString() });
-        saveNotifications(list);
-        renderNotifications();
+      // helper to post a staff notification (exposed)
+      window.addNotification = function(title, message, type='info', orderId=null){
+        if (!window.NotificationCenter) return Promise.resolve(null);
+        return window.NotificationCenter.add({ title, message, type, orderId });
       };
       // Ensure initial badge reflects data
       renderNotifications();
+      startNotifications();
     }
 
     if (profileBtn && profileMenu) {
@@ -157,6 +180,48 @@
     }
   }
 
+  // Offline outbox status (shared across pages): a topbar pill with queued and failed writes; click to retry
+  function setupOutboxStatus(){
+    const outbox = window.Outbox;
+    const actions = document.querySelector('.topbar-actions');
+    if (!outbox || !actions) return;
+    const pill = document.createElement('button');
+    pill.id = 'outboxStatus';
+    pill.type = 'button';
+    pill.className = 'status-pill outbox-pill';
+    pill.hidden = true;
+    actions.insertBefore(pill, actions.firstChild);
+
+    async function render(){
+      try {
+        const records = await outbox.list();
+        const { queued, failed } = outbox.countsOf(records);
+        const parts = [];
+        if (queued) parts.push(`${queued} queued`);
+        if (failed) parts.push(`${failed} failed`);
+        pill.hidden = parts.length === 0;
+        pill.textContent = parts.join(' · ');
+        pill.classList.toggle('failed', failed > 0);
+        const lastError = records.map(r => r.lastError).filter(Boolean).pop();
+        pill.title = failed
+          ? `Changes the server rejected${lastError ? ` (${lastError})` : ''}. Click to retry.`
+          : `Changes saved offline, sent when the connection returns${lastError ? ` (last try: ${lastError})` : ''}. Click to send now.`;
+      } catch (e) {
+        console.warn('Outbox status unavailable:', e);
+      }
+    }
+    pill.addEventListener('click', async () => {
+      await outbox.retry();
+      const result = window.ApiService ? await window.ApiService.processQueue() : null;
+      if (result && result.sent) window.UserErrorHandler.showSuccess(`${result.sent} queued change${result.sent === 1 ? '' : 's'} sent`);
+      else if (result && result.stopped) window.UserErrorHandler.showWarning('Still offline; queued changes will be sent when the connection returns');
+      render();
+    });
+    outbox.onChange(render);
+    window.addEventListener('online', render);
+    render();
+  }
+
   // Themed dialogs replacing window.alert/confirm
   function ensureModalRoot(){
     let root = document.getElementById('appModalRoot');
@@ -231,6 +296,7 @@
     }
     // Setup shared Notification Center and Profile menu
     setupNotifAndProfile();
+    setupOutboxStatus();
 
     // Search submit
     const searchForm = document.getElementById('searchForm');
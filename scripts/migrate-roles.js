@@ -0,0 +1,52 @@
+// One-off migration: give every existing account an explicit role before accounts without one lost access
+// Accounts with no users/{uid} doc, or one without a role, were treated as staff; this writes role 'staff' for them
+// so nobody loses access, while accounts created from now on without a role (or an invite) get no access.
+//
+//   FIREBASE_SERVICE_ACCOUNT='{...}' npm run migrate:roles            (dry run: lists the accounts it would change)
+//   FIREBASE_SERVICE_ACCOUNT='{...}' npm run migrate:roles -- --apply
+//
+// FIREBASE_PROJECT_ID with FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST runs it against the emulators.
+const admin = require('firebase-admin');
+
+const apply = process.argv.includes('--apply');
+const role = 'staff'; // what accounts without a role were treated as until now
+
+function init(env = process.env) {
+  const serviceAccount = env.FIREBASE_SERVICE_ACCOUNT ? JSON.parse(env.FIREBASE_SERVICE_ACCOUNT) : null;
+  admin.initializeApp({
+    projectId: env.FIREBASE_PROJECT_ID || (serviceAccount && serviceAccount.project_id),
+    ...(serviceAccount ? { credential: admin.credential.cert(serviceAccount) } : {})
+  });
+}
+
+async function main() {
+  init();
+  const db = admin.firestore();
+  const changed = [];
+  let pageToken;
+  do {
+    const page = await admin.auth().listUsers(1000, pageToken);
+    for (const account of page.users) {
+      const ref = db.collection('users').doc(account.uid);
+      const doc = await ref.get();
+      if (doc.exists && doc.data().role) continue;
+      changed.push(account.email || account.uid);
+      if (apply) {
+        await ref.set({
+          ...(doc.exists ? {} : { email: account.email || '', createdAt: account.metadata.creationTime ? new Date(account.metadata.creationTime).toISOString() : new Date().toISOString() }),
+          role,
+          roleMigratedAt: new Date().toISOString()
+        }, { merge: true });
+      }
+    }
+    pageToken = page.pageToken;
+  } while (pageToken);
+
+  changed.forEach(name => console.log(`${apply ? 'Set' : 'Would set'} role ${role}: ${name}`));
+  console.log(`${changed.length} account(s) ${apply ? 'migrated' : 'without a role; run with --apply to migrate them'}`);
+}
+
+main().catch(error => {
+  console.error('Role migration failed:', error);
+  process.exit(1);
+});
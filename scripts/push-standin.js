@@ -0,0 +1,134 @@
+// Local stand-in for a Web Push service, for testing api/push.js without a browser or real push service
+// It creates a subscription, receives pushes on https://127.0.0.1, decrypts them (RFC 8291 aes128gcm) and prints the payload.
+// web-push only sends over HTTPS, so a self-signed certificate is made with the openssl CLI; start the API with
+// NODE_EXTRA_CA_CERTS pointing at it (the path is printed on start).
+//
+//   npm run push:standin
+//
+// PUSH_STANDIN_PORT   port to listen on (default 8090)
+// PUSH_STANDIN_UID    with FIRESTORE_EMULATOR_HOST and FIREBASE_PROJECT_ID set, store the subscription for this staff uid
+//                     in the Firestore emulator; otherwise the subscription JSON is printed to add by hand
+// PUSH_STANDIN_GONE=1 answer 410 Gone, to check that expired subscriptions are removed
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+const port = Number(process.env.PUSH_STANDIN_PORT || 8090);
+const events = ['client_submission', 'invoice_paid', 'invoice_overdue'];
+
+const ecdh = crypto.createECDH('prime256v1');
+const publicKey = ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const endpoint = `https://127.0.0.1:${port}/push/${crypto.randomBytes(8).toString('hex')}`;
+const subscription = {
+  endpoint,
+  keys: { p256dh: publicKey.toString('base64url'), auth: authSecret.toString('base64url') }
+};
+
+// Self-signed certificate for 127.0.0.1, valid for one day
+function certificate() {
+  const keyFile = path.join(os.tmpdir(), 'jersey-oms-push-standin.key');
+  const certFile = path.join(os.tmpdir(), 'jersey-oms-push-standin.crt');
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-days', '1',
+    '-subj', '/CN=127.0.0.1', '-addext', 'subjectAltName=IP:127.0.0.1', '-keyout', keyFile, '-out', certFile
+  ], { stdio: 'ignore' });
+  return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile), certFile };
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// Decrypt an aes128gcm body: salt(16) | record size(4) | key id length(1) | sender public key | ciphertext
+function decrypt(body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdhSecret = ecdh.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), publicKey, senderKey]);
+  const ikm = hkdf(authSecret, ecdhSecret, keyInfo, 32);
+  const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // Strip the padding: trailing zeros after the 0x02 last-record delimiter
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  return padded.subarray(0, end).toString('utf8');
+}
+
+// Firestore REST encoding of the subscription record
+function toFields(record) {
+  const value = v => (Array.isArray(v)
+    ? { arrayValue: { values: v.map(value) } }
+    : v && typeof v === 'object'
+      ? { mapValue: { fields: toFields(v) } }
+      : { stringValue: String(v) });
+  return Object.fromEntries(Object.entries(record).map(([k, v]) => [k, value(v)]));
+}
+
+async function register() {
+  const { FIRESTORE_EMULATOR_HOST: host, FIREBASE_PROJECT_ID: project, PUSH_STANDIN_UID: uid } = process.env;
+  if (!host || !project || !uid) {
+    console.log('Subscription (store it in pushSubscriptions with uid and events):');
+    console.log(JSON.stringify({ ...subscription, events }, null, 2));
+    return;
+  }
+  const now = new Date().toISOString();
+  const record = { uid, ...subscription, events, userAgent: 'push-standin', createdAt: now, updatedAt: now };
+  const id = crypto.createHash('sha256').update(endpoint).digest('hex');
+  const url = `http://${host}/v1/projects/${project}/databases/(default)/documents/pushSubscriptions/${id}`;
+  // "Bearer owner" is the emulator's admin token and bypasses security rules
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer owner' },
+    body: JSON.stringify({ fields: toFields(record) })
+  });
+  if (!response.ok) throw new Error(`Emulator responded ${response.status}: ${await response.text()}`);
+  console.log(`Subscription pushSubscriptions/${id} stored for ${uid} in the Firestore emulator`);
+}
+
+const tls = certificate();
+const server = https.createServer({ key: tls.key, cert: tls.cert }, (req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST' || !endpoint.endsWith(req.url)) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (process.env.PUSH_STANDIN_GONE === '1') {
+      console.log('Push received; answering 410 Gone');
+      res.writeHead(410).end();
+      return;
+    }
+    try {
+      if (req.headers['content-encoding'] !== 'aes128gcm') throw new Error(`Unsupported encoding ${req.headers['content-encoding']}`);
+      const text = decrypt(Buffer.concat(chunks));
+      let payload = text;
+      try { payload = JSON.parse(text); } catch (e) { /* plain text push */ }
+      console.log(`[${new Date().toISOString()}] Push (TTL ${req.headers.ttl}):`, payload);
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error('Push could not be decrypted:', error.message);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Push stand-in listening on ${endpoint}`);
+  console.log(`Start the API with NODE_EXTRA_CA_CERTS=${tls.certFile} so it trusts this certificate`);
+  register().catch(error => {
+    console.error('Could not store the subscription:', error.message);
+    server.close();
+  });
+});
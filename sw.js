@@ -8,22 +8,30 @@ const STATIC_CACHE = 'static-v1.0.0';
 const DYNAMIC_CACHE = 'dynamic-v1.0.0';
 const API_CACHE = 'api-v1.0.0';
 
+// Shared offline outbox (self.Outbox), also used by the pages
+importScripts('/js/outbox.js');
+
 // Files to cache for offline functionality
 const STATIC_FILES = [
   '/',
   '/index.html',
   '/orders.html',
   '/customers.html',
+  '/customer.html',
   '/client-submissions.html',
+  '/reports.html',
   '/settings.html',
+  '/users.html',
   '/styles.css',
   '/script.js',
   '/js/config.js',
   '/js/security.js',
+  '/js/storage.js',
   '/js/error-handler.js',
   '/js/validation.js',
   '/js/performance.js',
   '/js/backup.js',
+  '/js/outbox.js',
   '/js/api-service.js',
   '/js/tests.js',
   '/public/logo.png',
@@ -194,51 +202,42 @@ function isStaticAsset(request) {
 self.addEventListener('sync', (event) => {
   console.log('Service Worker: Background sync', event.tag);
   
-  if (event.tag === 'background-sync') {
+  if (event.tag === self.Outbox.syncTag) {
     event.waitUntil(doBackgroundSync());
   }
 });
 
-// Perform background sync
+// Replay the outbox in order; a run that stops early throws so the browser retries the sync later
 async function doBackgroundSync() {
-  try {
-    // Get queued requests from IndexedDB
-    const queuedRequests = await getQueuedRequests();
-    
-    for (const requestData of queuedRequests) {
-      try {
-        const response = await fetch(requestData.url, {
-          method: requestData.method,
-          headers: requestData.headers,
-          body: requestData.body
-        });
-        
-        if (response.ok) {
-          // Remove from queue on success
-          await removeQueuedRequest(requestData.id);
-          console.log('Service Worker: Synced request', requestData.id);
-        }
-      } catch (error) {
-        console.error('Service Worker: Failed to sync request', error);
-      }
-    }
-  } catch (error) {
-    console.error('Service Worker: Background sync failed', error);
-  }
+  const result = await self.Outbox.replay({ getHeaders: () => self.Outbox.authHeaders() });
+  console.log('Service Worker: Background sync', result);
+  if (result.stopped) throw new Error('Outbox replay incomplete, will retry');
 }
 
 // Push notification handling
+// Payloads from api/push.js are JSON { title, body, url, orderId, tag }; plain text is shown as the body
 self.addEventListener('push', (event) => {
   console.log('Service Worker: Push notification received');
   
+  let payload = {};
+  if (event.data) {
+    try {
+      payload = event.data.json();
+    } catch (e) {
+      payload = { body: event.data.text() };
+    }
+  }
+  
   const options = {
-    body: event.data ? event.data.text() : 'New notification from Jersey OMS',
+    body: payload.body || 'New notification from Jersey OMS',
     icon: '/public/logo.png',
     badge: '/public/logo.png',
     vibrate: [100, 50, 100],
+    tag: payload.tag,
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: payload.url || '/',
+      orderId: payload.orderId || null
     },
     actions: [
       {
@@ -255,21 +254,26 @@ self.addEventListener('push', (event) => {
   };
   
   event.waitUntil(
-    self.registration.showNotification('Jersey OMS', options)
+    self.registration.showNotification(payload.title || 'Jersey OMS', options)
   );
 });
 
-// Notification click handling
+// Notification click handling: open the notification's page, reusing an open tab
 self.addEventListener('notificationclick', (event) => {
   console.log('Service Worker: Notification clicked');
   
   event.notification.close();
   
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
-  }
+  if (event.action === 'close') return;
+  
+  const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(client => client.url.startsWith(self.location.origin) && 'navigate' in client);
+      if (existing) return existing.navigate(url).then(client => (client || existing).focus());
+      return clients.openWindow(url);
+    })
+  );
 });
 
 // Message handling from main thread
@@ -288,48 +292,6 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// IndexedDB helpers for offline queue
-async function getQueuedRequests() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('jersey-oms-queue', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      const db = request.result;
-      const transaction = db.transaction(['requests'], 'readonly');
-      const store = transaction.objectStore('requests');
-      const getAllRequest = store.getAll();
-      
-      getAllRequest.onsuccess = () => resolve(getAllRequest.result);
-      getAllRequest.onerror = () => reject(getAllRequest.error);
-    };
-    
-    request.onupgradeneeded = () => {
-      const db = request.result;
-      if (!db.objectStoreNames.contains('requests')) {
-        db.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
-      }
-    };
-  });
-}
-
-async function removeQueuedRequest(id) {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('jersey-oms-queue', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      const db = request.result;
-      const transaction = db.transaction(['requests'], 'readwrite');
-      const store = transaction.objectStore('requests');
-      const deleteRequest = store.delete(id);
-      
-      deleteRequest.onsuccess = () => resolve();
-      deleteRequest.onerror = () => reject(deleteRequest.error);
-    };
-  });
-}
-
 // Cache management
 async function cleanOldCaches() {
   const cacheNames = await caches.keys();